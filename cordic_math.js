@@ -0,0 +1,430 @@
+// cordic_math.js
+//
+// Integer-only backend for the fixed-point math ops of fixed_math.js, so
+// results are bit-exact and independent of the host's libm (what a real
+// fixed-point CPU would compute). Selected with `--math-impl=cordic`.
+//
+// Every op is computed with BigInt arithmetic in an internal Q.30 format
+// (F = 30 fraction bits) and rounded to the caller's fxScale at the end:
+//   - sin/cos/tan, atan/atan2/asin/acos: circular CORDIC (rotation/vectoring)
+//   - sinh/cosh/tanh: hyperbolic CORDIC on x = k*ln2 + r, |r| <= ln2/2
+//   - exp/exp2/ln/log2/log10 (and pow, sigmoid): shift-and-add with a table
+//     of ln(1 + 2^-i)
+//   - sqrt/cbrt/hypot: integer Newton iteration
+//   - erf: Abramowitz & Stegun 7.1.26 with integer coefficients
+//   - abs/floor/ceil/round/min/max/fmod: exact integer ops on the operands
+// The constants (pi, ln2, the CORDIC angle tables and gains) are generated at
+// load time from integer series, with guard bits.
+//
+// Domains, ranges and argument reduction follow the MATH_OPS registry, so the
+// two backends agree to within an LSB or so; mathImplReport() measures it:
+//   node cordic_math.js [--fxScale=65536] [--samples=2001]
+
+const { MATH_OPS, refMathFx, refMathFx2 } = require('./fixed_math');
+
+const F = 30n;                 // internal fraction bits
+const ONE = 1n << F;
+const HALF = 1n << (F - 1n);
+const G = 16n;                 // guard bits for the constant tables
+const P = F + G;               // table precision
+const ITER = 32;               // CORDIC / shift-and-add steps (> F)
+
+// ---------------------------- integer helpers ----------------------------
+
+const absI = (v) => (v < 0n ? -v : v);
+
+function floorDiv(a, b) {
+  const q = a / b;
+  return (a % b !== 0n && (a < 0n) !== (b < 0n)) ? q - 1n : q;
+}
+
+// a / b rounded half away from zero.
+function divRound(a, b) {
+  const q = a / b;
+  const r = a % b;
+  if (2n * absI(r) < absI(b)) return q;
+  return (a < 0n) !== (b < 0n) ? q - 1n : q + 1n;
+}
+
+const mul = (a, b) => (a * b + HALF) >> F;
+const div = (a, b) => divRound(a * ONE, b);
+const clampI = (v, lo, hi) => (v < lo ? lo : v > hi ? hi : v);
+
+// Round a table value from P to F bits.
+const fromP = (v) => (v + (1n << (G - 1n))) >> G;
+
+function isqrt(n) {
+  if (n < 2n) return n;
+  let x = 1n << (BigInt(n.toString(2).length) / 2n + 1n);
+  for (;;) {
+    const y = (x + n / x) >> 1n;
+    if (y >= x) return x;
+    x = y;
+  }
+}
+
+function icbrt(n) {
+  if (n < 2n) return n;
+  let x = 1n << (BigInt(n.toString(2).length) / 3n + 1n);
+  for (;;) {
+    const y = (2n * x + n / (x * x)) / 3n;
+    if (y >= x) {
+      while (x * x * x > n) x--;
+      while ((x + 1n) ** 3n <= n) x++;
+      return x;
+    }
+    x = y;
+  }
+}
+
+// ------------------------------ constants --------------------------------
+
+// atan(1/n) (or atanh(1/n)) at P bits: sum of (+-)1 / ((2k+1) n^(2k+1)).
+function arctanInv(n, hyperbolic = false) {
+  let term = (1n << P) / n;
+  const n2 = n * n;
+  let sum = 0n;
+  for (let k = 0n; term !== 0n; k++) {
+    const t = term / (2n * k + 1n);
+    sum += (hyperbolic || k % 2n === 0n) ? t : -t;
+    term /= n2;
+  }
+  return sum;
+}
+
+// Machin: pi = 16 atan(1/5) - 4 atan(1/239).
+const PI_P = 16n * arctanInv(5n) - 4n * arctanInv(239n);
+const LN2_P = 2n * arctanInv(3n, true);
+const PI = fromP(PI_P);
+const HALF_PI = fromP(PI_P / 2n);
+const LN2 = fromP(LN2_P);
+// ln 10 = 3 ln 2 + ln(5/4), ln(5/4) = 2 atanh(1/9)
+const LN10 = fromP(3n * LN2_P + 2n * arctanInv(9n, true));
+
+// atan(2^-i): i = 0 is pi/4, the rest from the series.
+const ATAN = [fromP(PI_P / 4n)];
+for (let i = 1; i < ITER; i++) ATAN.push(fromP(arctanInv(1n << BigInt(i))));
+
+// atanh(2^-i), i >= 1 (hyperbolic CORDIC starts at 1).
+const ATANH = [0n];
+for (let i = 1; i < ITER; i++) ATANH.push(fromP(arctanInv(1n << BigInt(i), true)));
+
+// ln(1 + 2^-i) = 2 atanh(1 / (2^(i+1) + 1)), i >= 1.
+const LN1P = [LN2];
+for (let i = 1; i < ITER; i++) LN1P.push(fromP(2n * arctanInv((1n << BigInt(i + 1)) + 1n, true)));
+
+// Hyperbolic CORDIC repeats steps 4, 13, 40, ... to converge.
+const HYP_STEPS = [];
+for (let i = 1, repeat = 4; i < ITER; i++) {
+  HYP_STEPS.push(i);
+  if (i === repeat) {
+    HYP_STEPS.push(i);
+    repeat = 3 * repeat + 1;
+  }
+}
+
+// CORDIC gains: circular K = prod 1/sqrt(1 + 4^-i); hyperbolic
+// 1/Kh = 1/prod sqrt(1 - 4^-i) over HYP_STEPS. Computed at P bits.
+function gain(steps, sign) {
+  const one = 1n << P;
+  let prod = one;
+  for (const i of steps) prod += sign * (prod >> BigInt(2 * i));
+  return fromP(isqrt(((one * one) / prod) * one));
+}
+const K_CIRC = gain([...Array(ITER).keys()], 1n);
+const K_HYP = gain(HYP_STEPS, -1n);
+
+// ------------------------------- kernels ---------------------------------
+
+// Circular rotation: [cos t, sin t] for |t| <= ~1.74.
+function cordicSinCos(t) {
+  let x = K_CIRC;
+  let y = 0n;
+  let z = t;
+  for (let i = 0; i < ITER; i++) {
+    const s = BigInt(i);
+    const dx = x >> s;
+    const dy = y >> s;
+    if (z >= 0n) {
+      x -= dy; y += dx; z -= ATAN[i];
+    } else {
+      x += dy; y -= dx; z += ATAN[i];
+    }
+  }
+  return [x, y];
+}
+
+// Circular vectoring: atan2(y, x) for any (x, y).
+function cordicAtan2(y, x) {
+  if (x === 0n && y === 0n) return 0n;
+  if (x < 0n) return cordicAtan2(-y, -x) + (y >= 0n ? PI : -PI);
+  let z = 0n;
+  for (let i = 0; i < ITER; i++) {
+    const s = BigInt(i);
+    const dx = x >> s;
+    const dy = y >> s;
+    if (y >= 0n) {
+      x += dy; y -= dx; z += ATAN[i];
+    } else {
+      x -= dy; y += dx; z -= ATAN[i];
+    }
+  }
+  return z;
+}
+
+// Hyperbolic rotation: [cosh r, sinh r] for |r| <= ~1.11.
+function cordicSinhCosh(r) {
+  let x = K_HYP;
+  let y = 0n;
+  let z = r;
+  for (const i of HYP_STEPS) {
+    const s = BigInt(i);
+    const dx = x >> s;
+    const dy = y >> s;
+    if (z >= 0n) {
+      x += dy; y += dx; z -= ATANH[i];
+    } else {
+      x -= dy; y -= dx; z += ATANH[i];
+    }
+  }
+  return [x, y];
+}
+
+const shift = (v, k) => (k >= 0n ? v << k : (v + (1n << (-k - 1n))) >> -k);
+
+// e^x by shift-and-add: x = k ln2 + r, r in [0, ln2), then
+// e^r = prod (1 + 2^-i) over the i whose ln(1 + 2^-i) fit into r.
+function expI(x) {
+  if (x < -(F + 2n) * LN2) return 0n;
+  x = clampI(x, x, 40n * ONE);
+  const k = floorDiv(x, LN2);
+  let r = x - k * LN2;
+  let y = ONE;
+  for (let i = 1; i < ITER; i++) {
+    if (r >= LN1P[i]) {
+      r -= LN1P[i];
+      y += y >> BigInt(i);
+    }
+  }
+  y += mul(y, r);
+  return shift(y, k);
+}
+
+// ln x (x > 0) by shift-and-add: x = m 2^k with m in [1, 2), then multiply m
+// by (1 + 2^-i) factors towards 2: ln m = ln2 - sum ln(1 + 2^-i).
+function lnI(x) {
+  const k = BigInt(x.toString(2).length) - 1n - F;
+  let m = k >= 0n ? x >> k : x << -k;
+  let acc = 0n;
+  for (let i = 1; i < ITER; i++) {
+    const t = m + (m >> BigInt(i));
+    if (t <= 2n * ONE) {
+      m = t;
+      acc += LN1P[i];
+    }
+  }
+  // m is now just below 2: ln(2 / m) ~ (2 - m) / m
+  const rest = div(2n * ONE - m, m);
+  return k * LN2 + LN2 - acc - rest;
+}
+
+// Saturation values for logs of x <= 0 and 0^-y: clamped to the op's range.
+const NEG_HUGE = -(ONE << 20n);
+const POS_HUGE = ONE << 20n;
+
+const logOf = (scale) => (x) => (x <= 0n ? NEG_HUGE : scale(lnI(x)));
+
+// Argument reduction as in fixed_math.reduceTrig, at P bits.
+function reduceTrigI(op, x) {
+  const xp = x << G;
+  if (op === 'FTAN') {
+    const r = xp - PI_P * floorDiv(2n * xp + PI_P, 2n * PI_P);
+    return { t: fromP(absI(r)), sign: r < 0n ? -1n : 1n };
+  }
+  const r = xp - 2n * PI_P * floorDiv(xp, 2n * PI_P);
+  const halfPiP = PI_P / 2n;
+  const q = r / halfPiP > 3n ? 3n : r / halfPiP;
+  let t = r - q * halfPiP;
+  if (q % 2n === 1n) t = halfPiP - t;
+  const negative = op === 'FSIN' ? q >= 2n : (q === 1n || q === 2n);
+  return { t: fromP(t), sign: negative ? -1n : 1n };
+}
+
+function sinhCoshI(x) {
+  const k = divRound(x, LN2);
+  const [c, s] = cordicSinhCosh(x - k * LN2);
+  const ep = shift(c + s, k);
+  const em = shift(c - s, -k);
+  return [(ep + em) / 2n, (ep - em) / 2n];
+}
+
+// A&S 7.1.26 coefficients, as Q.30 integers.
+const q30 = (digits, decimals) => divRound(BigInt(digits) * ONE, 10n ** BigInt(decimals));
+const ERF_P = q30(3275911, 7);
+const ERF_A = [q30(254829592, 9), -q30(284496736, 9), q30(1421413741, 9), -q30(1453152027, 9), q30(1061405429, 9)];
+
+function erfI(x) {
+  const ax = absI(x);
+  const t = div(ONE, ONE + mul(ERF_P, ax));
+  let poly = 0n;
+  for (let i = ERF_A.length - 1; i >= 0; i--) poly = mul(poly + ERF_A[i], t);
+  const y = ONE - mul(poly, expI(-mul(ax, ax)));
+  return x < 0n ? -y : y;
+}
+
+// Internal (Q.30) implementations, by opcode. `fx` ops work directly on the
+// fixed-point operands (exact, no conversion).
+const INT_OPS = {
+  FSIN: (t) => cordicSinCos(t)[1],
+  FCOS: (t) => cordicSinCos(t)[0],
+  FTAN: (t) => {
+    const [c, s] = cordicSinCos(t);
+    return c <= 0n ? POS_HUGE : div(s, c);
+  },
+  FTANH: (x) => {
+    const [c, s] = sinhCoshI(x);
+    return div(s, c);
+  },
+  FSINH: (x) => sinhCoshI(x)[1],
+  FCOSH: (x) => sinhCoshI(x)[0],
+  FLN: logOf((l) => l),
+  FLOG10: logOf((l) => div(l, LN10)),
+  FLOG2: logOf((l) => div(l, LN2)),
+  FEXP: expI,
+  FEXP2: (x) => expI(mul(x, LN2)),
+  FSQRT: (x) => isqrt(x * ONE),
+  FCBRT: (x) => (x < 0n ? -icbrt(-x * ONE * ONE) : icbrt(x * ONE * ONE)),
+  FASIN: (x) => cordicAtan2(x, isqrt(ONE * ONE - x * x)),
+  FACOS: (x) => cordicAtan2(isqrt(ONE * ONE - x * x), x),
+  FATAN: (x) => cordicAtan2(x, ONE),
+  FSIGMOID: (x) => div(ONE, ONE + expI(-clampI(x, -64n * ONE, 64n * ONE))),
+  FERF: (x) => erfI(clampI(x, -8n * ONE, 8n * ONE)),
+  FABS: { fx: (x) => absI(x) },
+  FFLOOR: { fx: (x, s) => floorDiv(x, s) * s },
+  FCEIL: { fx: (x, s) => -floorDiv(-x, s) * s },
+  FROUND: { fx: (x, s) => floorDiv(2n * x + s, 2n * s) * s },
+  FATAN2: cordicAtan2,
+  FPOW: (a, b) => (a === 0n ? (b > 0n ? 0n : POS_HUGE) : expI(mul(b, lnI(a)))),
+  FHYPOT: (a, b) => isqrt(a * a + b * b),
+  FMOD: { fx: (a, b) => (b === 0n ? 0n : a % b) },
+  FMIN: { fx: (a, b) => (a < b ? a : b) },
+  FMAX: { fx: (a, b) => (a > b ? a : b) },
+};
+
+for (const op of Object.keys(MATH_OPS)) {
+  if (!INT_OPS[op]) throw new Error(`cordic_math: no integer implementation for '${op}'`);
+}
+
+// Registry bounds as Q.30 integers (null where unbounded).
+function boundsI(b) {
+  if (!b) return null;
+  const toI = (v) => (Number.isFinite(v) ? BigInt(Math.round(v * 2 ** 30)) : null);
+  return [toI(b[0]), toI(b[1])];
+}
+const BOUNDS = Object.fromEntries(Object.entries(MATH_OPS).map(([op, spec]) => [op, {
+  domain: boundsI(spec.domain), domain2: boundsI(spec.domain2), range: boundsI(spec.range),
+}]));
+
+function clampBounds(v, b) {
+  if (!b) return v;
+  if (b[0] !== null && v < b[0]) return b[0];
+  if (b[1] !== null && v > b[1]) return b[1];
+  return v;
+}
+
+function evalOp(op, operands, fxScale) {
+  const spec = MATH_OPS[op];
+  if (!spec || spec.arity !== operands.length) {
+    throw new Error(`cordicMathFx: unknown op '${op}'`);
+  }
+  const s = BigInt(fxScale);
+  const impl = INT_OPS[op];
+  const args = operands.map((v) => BigInt(v));
+  if (impl.fx) return Number(impl.fx(...args, s));
+
+  const b = BOUNDS[op];
+  let xs = args.map((v) => divRound(v << F, s));
+  let sign = 1n;
+  if (spec.periodic) {
+    const red = reduceTrigI(op, xs[0]);
+    xs = [red.t];
+    sign = red.sign;
+  } else {
+    xs[0] = clampBounds(xs[0], b.domain);
+    if (xs.length === 2) xs[1] = clampBounds(xs[1], b.domain2);
+  }
+  const y = clampBounds(sign * impl(...xs), b.range);
+  return Number(divRound(y * s, ONE));
+}
+
+// Same contract as refMathFx / refMathFx2.
+function cordicMathFx(op, xFx, fxScale) {
+  return evalOp(op, [xFx], fxScale);
+}
+
+function cordicMathFx2(op, aFx, bFx, fxScale) {
+  return evalOp(op, [aFx, bFx], fxScale);
+}
+
+// Compare the integer backend with the float reference on an evenly spaced
+// grid over each op's modeled interval (periodic ops over [-8π, 8π], binary
+// ops over a sqrt(samples)^2 grid). Errors are in fixed-point LSBs.
+// Returns [{ op, samples, maxErr, meanErr, worst }].
+function mathImplReport(options = {}) {
+  const fxScale = options.fxScale ?? 65536;
+  const samples = options.samples ?? 2001;
+  const toFx = (v) => Math.round(v * fxScale);
+  const grid = (lo, hi, n) => Array.from({ length: n }, (_, i) => lo + ((hi - lo) * i) / (n - 1));
+  const rows = [];
+  for (const [op, spec] of Object.entries(MATH_OPS)) {
+    const m = spec.model;
+    let cases;
+    if (spec.arity === 2) {
+      const n = Math.max(2, Math.round(Math.sqrt(samples)));
+      const bs = grid(m.in2Lo, m.in2Hi, n);
+      cases = grid(m.inLo, m.inHi, n).flatMap((a) => bs.map((b) => [toFx(a), toFx(b)]));
+    } else {
+      const [lo, hi] = spec.periodic ? [-8 * Math.PI, 8 * Math.PI] : [m.inLo, m.inHi];
+      cases = grid(lo, hi, samples).map((x) => [toFx(x)]);
+    }
+    let maxErr = 0;
+    let sumErr = 0;
+    let worst = null;
+    for (const c of cases) {
+      const exact = c.length === 2 ? refMathFx2(op, c[0], c[1], fxScale) : refMathFx(op, c[0], fxScale);
+      const got = c.length === 2 ? cordicMathFx2(op, c[0], c[1], fxScale) : cordicMathFx(op, c[0], fxScale);
+      const err = Math.abs(got - exact);
+      sumErr += err;
+      if (err > maxErr) {
+        maxErr = err;
+        worst = c;
+      }
+    }
+    rows.push({ op, samples: cases.length, maxErr, meanErr: sumErr / cases.length, worst });
+  }
+  return rows;
+}
+
+function formatMathReport(rows, fxScale = 65536) {
+  const lines = [`CORDIC vs float reference (errors in LSB, fxScale=${fxScale}):`];
+  lines.push(`${'op'.padEnd(10)}${'samples'.padStart(8)}${'max'.padStart(8)}${'mean'.padStart(10)}  worst input`);
+  for (const r of rows) {
+    const worst = r.worst ? r.worst.map((v) => (v / fxScale).toFixed(4)).join(', ') : '-';
+    lines.push(`${r.op.padEnd(10)}${String(r.samples).padStart(8)}${String(r.maxErr).padStart(8)}` +
+      `${r.meanErr.toFixed(3).padStart(10)}  ${worst}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = { cordicMathFx, cordicMathFx2, mathImplReport, formatMathReport };
+
+// ------------------------------- report --------------------------------
+if (require.main === module) {
+  const arg = (name, def) => {
+    const a = process.argv.find((x) => x.startsWith(`--${name}=`));
+    const v = a ? Number(a.split('=')[1]) : def;
+    return Number.isFinite(v) ? v : def;
+  };
+  const fxScale = arg('fxScale', 65536);
+  console.log(formatMathReport(mathImplReport({ fxScale, samples: arg('samples', 2001) }), fxScale));
+}
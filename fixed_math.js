@@ -0,0 +1,290 @@
+// fixed_math.js
+//
+// Fixed-point math shared by the PL/0 compiler, the CPU simulator and the
+// NARX math coprocessor.
+//
+// Fixed-point convention (default Q16.16):
+//   - registers/memory hold integers
+//   - a real value v is encoded as vFx = round(v * fxScale)
+//
+// MATH_OPS is the single op registry. Each entry (keyed by CPU opcode):
+//   names     intrinsic names in PL/0 (`log` and `log10` share FLOG10)
+//   arity     1 (`OP rX`) or 2 (`OP rX, rY` => rX = op(rX, rY))
+//   domain    [lo, hi] the input is clamped to (null: any input);
+//             binary ops have `domain2` for the second operand
+//   range     [lo, hi] the result is clamped to (null: unclamped)
+//   fn        the real function, applied after clamping
+//   periodic  the argument is range-reduced (see reduceTrig) instead of
+//             clamped; fn is evaluated on the primary interval
+//   model     NARX normalization { inLo, inHi, [in2Lo, in2Hi,] outLo, outHi }:
+//             the interval a net learns (periodic ops: the primary interval)
+//   integerOk the intrinsic also accepts integers (its result keeps their type)
+//   exact     (integerOk ops) the op on the raw register values, numbers or
+//             BigInt, fixed-point or integer alike: no float round-trip
+//   variadic  the intrinsic takes two or more arguments, folded left
+//
+// refMathFx/refMathFx2 are the deterministic references: the CPU runs them
+// and NeuralMathNARX measures (and falls back) against them. Their results
+// are not clamped to any word; the CPU fits them to its own.
+//
+// fxMul/fxDiv are the exact fixed-point product and quotient behind the
+// FMUL/FDIV instructions (and NeuralALU's reference for them).
+
+const HALF_PI = Math.PI / 2;
+
+function clamp(x, lo, hi) {
+  return Math.max(lo, Math.min(hi, x));
+}
+
+function fxToFloat(xFx, fxScale) {
+  return xFx / fxScale;
+}
+
+function floatToFx(x, fxScale) {
+  return Math.round(x * fxScale);
+}
+
+// Argument reduction for the periodic ops, so results are right over the whole
+// fixed-point range: op(x) = sign * op(t) with t in the primary interval
+// [0, π/2]. sin/cos reduce x mod 2π and fold by quadrant (odd quadrants
+// reflect t -> π/2 - t); tan reduces mod π and uses tan(-t) = -tan(t).
+function reduceTrig(op, x) {
+  if (op === 'FTAN') {
+    const r = x - Math.PI * Math.floor(x / Math.PI + 0.5); // [-π/2, π/2)
+    return { t: Math.abs(r), sign: r < 0 ? -1 : 1 };
+  }
+  const r = x - 2 * Math.PI * Math.floor(x / (2 * Math.PI)); // [0, 2π)
+  const q = Math.min(3, Math.floor(r / HALF_PI));
+  let t = r - q * HALF_PI;
+  if (q % 2 === 1) t = HALF_PI - t;
+  const negative = op === 'FSIN' ? q >= 2 : (q === 1 || q === 2);
+  return { t, sign: negative ? -1 : 1 };
+}
+
+// Error function (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7, well below
+// one Q16.16 step).
+function erf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const y = 1 - poly * Math.exp(-x * x);
+  return x < 0 ? -y : y;
+}
+
+// Logs of x <= 0 saturate to the bottom of their range.
+const logOf = (f) => (x) => (x > 0 ? f(x) : -Infinity);
+
+const MATH_OPS = {
+  // Trig: input in radians (tan saturates at 8 from atan(8) on)
+  FSIN: {
+    names: ['sin'], arity: 1, periodic: true, range: [-1, 1], fn: Math.sin,
+    model: { inLo: 0, inHi: HALF_PI, outLo: 0, outHi: 1 },
+  },
+  FCOS: {
+    names: ['cos'], arity: 1, periodic: true, range: [-1, 1], fn: Math.cos,
+    model: { inLo: 0, inHi: HALF_PI, outLo: 0, outHi: 1 },
+  },
+  FTAN: {
+    names: ['tan'], arity: 1, periodic: true, range: [-8, 8], fn: Math.tan,
+    model: { inLo: 0, inHi: Math.atan(8), outLo: 0, outHi: 8 },
+  },
+  // Hyperbolic
+  FTANH: {
+    names: ['tanh'], arity: 1, domain: [-3, 3], range: [-1, 1], fn: Math.tanh,
+    model: { inLo: -3, inHi: 3, outLo: -1, outHi: 1 },
+  },
+  FSINH: {
+    names: ['sinh'], arity: 1, domain: [-3, 3], range: [-8, 8], fn: Math.sinh,
+    model: { inLo: -3, inHi: 3, outLo: -8, outHi: 8 },
+  },
+  FCOSH: {
+    names: ['cosh'], arity: 1, domain: [-3, 3], range: [0, 10], fn: Math.cosh,
+    model: { inLo: -3, inHi: 3, outLo: 0, outHi: 10 },
+  },
+  // Logs (domain x > 0)
+  FLN: {
+    names: ['ln'], arity: 1, domain: [0, 256], range: [-16, 16], fn: logOf(Math.log),
+    model: { inLo: 1e-6, inHi: 256, outLo: -16, outHi: 16 },
+  },
+  FLOG10: {
+    names: ['log', 'log10'], arity: 1, domain: [0, 256], range: [-16, 16], fn: logOf(Math.log10),
+    model: { inLo: 1e-6, inHi: 256, outLo: -16, outHi: 16 },
+  },
+  FLOG2: {
+    names: ['log2'], arity: 1, domain: [0, 256], range: [-20, 8], fn: logOf(Math.log2),
+    model: { inLo: 1e-6, inHi: 256, outLo: -20, outHi: 8 },
+  },
+  // Exponentials (can grow)
+  FEXP: {
+    names: ['exp'], arity: 1, domain: [-8, 8], range: [0, 256], fn: Math.exp,
+    model: { inLo: -8, inHi: 8, outLo: 0, outHi: 256 },
+  },
+  FEXP2: {
+    names: ['exp2'], arity: 1, domain: [-8, 8], range: [0, 256], fn: (x) => Math.pow(2, x),
+    model: { inLo: -8, inHi: 8, outLo: 0, outHi: 256 },
+  },
+  // Roots
+  FSQRT: {
+    names: ['sqrt'], arity: 1, domain: [0, 256], range: [0, 16], fn: Math.sqrt,
+    model: { inLo: 0, inHi: 256, outLo: 0, outHi: 16 },
+  },
+  FCBRT: {
+    names: ['cbrt'], arity: 1, domain: [-256, 256], range: null, fn: Math.cbrt,
+    model: { inLo: -256, inHi: 256, outLo: -7, outHi: 7 },
+  },
+  // Inverse trig: asin/acos are only defined on [-1, 1]
+  FASIN: {
+    names: ['asin'], arity: 1, domain: [-1, 1], range: null, fn: Math.asin,
+    model: { inLo: -1, inHi: 1, outLo: -HALF_PI, outHi: HALF_PI },
+  },
+  FACOS: {
+    names: ['acos'], arity: 1, domain: [-1, 1], range: null, fn: Math.acos,
+    model: { inLo: -1, inHi: 1, outLo: 0, outHi: Math.PI },
+  },
+  FATAN: {
+    names: ['atan'], arity: 1, domain: null, range: null, fn: Math.atan,
+    model: { inLo: -16, inHi: 16, outLo: -HALF_PI, outHi: HALF_PI },
+  },
+  // Squashing functions
+  FSIGMOID: {
+    names: ['sigmoid'], arity: 1, domain: null, range: null, fn: (x) => 1 / (1 + Math.exp(-x)),
+    model: { inLo: -8, inHi: 8, outLo: 0, outHi: 1 },
+  },
+  FERF: {
+    names: ['erf'], arity: 1, domain: null, range: null, fn: erf,
+    model: { inLo: -3, inHi: 3, outLo: -1, outHi: 1 },
+  },
+  // Piecewise ops: exact on the whole fixed-point range (the nets learn them
+  // on a bounded interval)
+  FABS: {
+    names: ['abs'], arity: 1, domain: null, range: null, fn: Math.abs, integerOk: true,
+    exact: (x) => (x < 0 ? -x : x),
+    model: { inLo: -256, inHi: 256, outLo: 0, outHi: 256 },
+  },
+  FFLOOR: {
+    names: ['floor'], arity: 1, domain: null, range: null, fn: Math.floor,
+    model: { inLo: -256, inHi: 256, outLo: -256, outHi: 256 },
+  },
+  FCEIL: {
+    names: ['ceil'], arity: 1, domain: null, range: null, fn: Math.ceil,
+    model: { inLo: -256, inHi: 256, outLo: -256, outHi: 256 },
+  },
+  FROUND: {
+    names: ['round'], arity: 1, domain: null, range: null, fn: Math.round,
+    model: { inLo: -256, inHi: 256, outLo: -256, outHi: 256 },
+  },
+  // Binary: FATAN2 takes y then x
+  FATAN2: {
+    names: ['atan2'], arity: 2, domain: null, domain2: null, range: null, fn: Math.atan2,
+    model: { inLo: -16, inHi: 16, in2Lo: -16, in2Hi: 16, outLo: -Math.PI, outHi: Math.PI },
+  },
+  // Real powers need a non-negative base; 0^y is 0 for y > 0, else saturates.
+  FPOW: {
+    names: ['pow'], arity: 2, domain: [0, Infinity], domain2: [-16, 16], range: [0, 256],
+    fn: (a, b) => (a === 0 ? (b > 0 ? 0 : Infinity) : Math.pow(a, b)),
+    model: { inLo: 0, inHi: 16, in2Lo: -4, in2Hi: 4, outLo: 0, outHi: 256 },
+  },
+  FHYPOT: {
+    names: ['hypot'], arity: 2, domain: null, domain2: null, range: null, fn: Math.hypot,
+    model: { inLo: -128, inHi: 128, in2Lo: -128, in2Hi: 128, outLo: 0, outHi: 182 },
+  },
+  // fmod: the result has the sign of the dividend; x mod 0 is 0.
+  FMOD: {
+    names: ['fmod'], arity: 2, domain: null, domain2: null, range: null, fn: (a, b) => (b === 0 ? 0 : a % b),
+    model: { inLo: -256, inHi: 256, in2Lo: -16, in2Hi: 16, outLo: -16, outHi: 16 },
+  },
+  FMIN: {
+    names: ['min'], arity: 2, domain: null, domain2: null, range: null, fn: Math.min, integerOk: true, variadic: true,
+    exact: (a, b) => (a < b ? a : b),
+    model: { inLo: -256, inHi: 256, in2Lo: -256, in2Hi: 256, outLo: -256, outHi: 256 },
+  },
+  FMAX: {
+    names: ['max'], arity: 2, domain: null, domain2: null, range: null, fn: Math.max, integerOk: true, variadic: true,
+    exact: (a, b) => (a > b ? a : b),
+    model: { inLo: -256, inHi: 256, in2Lo: -256, in2Hi: 256, outLo: -256, outHi: 256 },
+  },
+};
+
+// Intrinsic name -> opcode, for ops of the given arity.
+function intrinsicMap(arity) {
+  const map = {};
+  for (const [opcode, spec] of Object.entries(MATH_OPS)) {
+    if (spec.arity !== arity) continue;
+    for (const name of spec.names) map[name] = opcode;
+  }
+  return map;
+}
+
+function mathOp(op, arity) {
+  const spec = MATH_OPS[op];
+  if (!spec || spec.arity !== arity) {
+    throw new Error(`refMathFx${arity === 2 ? '2' : ''}: unknown op '${op}'`);
+  }
+  return spec;
+}
+
+// Deterministic reference for the unary math ops.
+function refMathFx(op, xFx, fxScale) {
+  const spec = mathOp(op, 1);
+  if (spec.exact) return spec.exact(xFx);
+  let x = fxToFloat(xFx, fxScale);
+  let y;
+  if (spec.periodic) {
+    const { t, sign } = reduceTrig(op, x);
+    y = sign * spec.fn(t);
+  } else {
+    if (spec.domain) x = clamp(x, spec.domain[0], spec.domain[1]);
+    y = spec.fn(x);
+  }
+  if (spec.range) y = clamp(y, spec.range[0], spec.range[1]);
+  return floatToFx(y, fxScale);
+}
+
+// Deterministic reference for the binary math ops: op(a, b).
+function refMathFx2(op, aFx, bFx, fxScale) {
+  const spec = mathOp(op, 2);
+  if (spec.exact) return spec.exact(aFx, bFx);
+  let a = fxToFloat(aFx, fxScale);
+  let b = fxToFloat(bFx, fxScale);
+  if (spec.domain) a = clamp(a, spec.domain[0], spec.domain[1]);
+  if (spec.domain2) b = clamp(b, spec.domain2[0], spec.domain2[1]);
+  let y = spec.fn(a, b);
+  if (spec.range) y = clamp(y, spec.range[0], spec.range[1]);
+  return floatToFx(y, fxScale);
+}
+
+// Rounding modes for fxMul/fxDiv.
+const FX_ROUNDING = ['floor', 'nearest-even', 'toward-zero'];
+
+// n / d (BigInt) rounded per `mode`.
+function roundDiv(n, d, mode) {
+  if (d < 0n) {
+    n = -n;
+    d = -d;
+  }
+  let q = n / d;
+  let r = n % d;
+  if (r < 0n) {
+    q -= 1n;
+    r += d;
+  }
+  // q = floor(n / d), 0 <= r < d
+  if (r === 0n || mode === 'floor') return q;
+  if (mode === 'toward-zero') return n < 0n ? q + 1n : q;
+  if (mode === 'nearest-even') return (2n * r > d || (2n * r === d && q % 2n !== 0n)) ? q + 1n : q;
+  throw new Error(`Unknown fixed-point rounding mode '${mode}' (expected ${FX_ROUNDING.join(', ')})`);
+}
+
+// aFx * bFx / fxScale and aFx * fxScale / bFx, with the double-width
+// intermediate kept exact. Results are BigInt; bFx must be nonzero for fxDiv.
+function fxMul(aFx, bFx, fxScale, mode = 'floor') {
+  return roundDiv(BigInt(aFx) * BigInt(bFx), BigInt(fxScale), mode);
+}
+
+function fxDiv(aFx, bFx, fxScale, mode = 'floor') {
+  return roundDiv(BigInt(aFx) * BigInt(fxScale), BigInt(bFx), mode);
+}
+
+module.exports = {
+  MATH_OPS, intrinsicMap, refMathFx, refMathFx2, reduceTrig, erf, clamp, fxToFloat, floatToFx,
+  FX_ROUNDING, fxMul, fxDiv,
+};
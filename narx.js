@@ -128,36 +128,8 @@ class NARX {
                 const laggedOutput = outputSequence.slice(t - this.outputLag, t);
                 const combined = laggedInput.concat(laggedOutput);
 
-                // Forward pass
-                const { hidden, output } = this.forward(combined);
-
-                // Error and output delta
-                const target = outputSequence[t];
-                const error = target - output;
-                const deltaOut = error * this.activationDerivative(output);
-
+                const error = this.trainSample(combined, outputSequence[t], lr);
                 sumSquaredError += error * error;
-
-                // --- Update output weights and bias ---
-                for (let h = 0; h < this.hiddenUnits; h++) {
-                    this.weightsHiddenOutput[h] += lr * deltaOut * hidden[h];
-                }
-                this.biasOutput += lr * deltaOut;
-
-                // --- Update hidden weights and biases ---
-                for (let h = 0; h < this.hiddenUnits; h++) {
-                    // Backprop from output to hidden unit h
-                    const deltaHidden =
-                        deltaOut *
-                        this.weightsHiddenOutput[h] *
-                        this.activationDerivative(hidden[h]);
-
-                    const wRow = this.weightsInputHidden[h];
-                    for (let k = 0; k < this.inputSize; k++) {
-                        wRow[k] += lr * deltaHidden * combined[k];
-                    }
-                    this.biasHidden[h] += lr * deltaHidden;
-                }
             }
 
             const mse = sumSquaredError / (N - start);
@@ -167,6 +139,46 @@ class NARX {
         return epochMSE;
     }
 
+    /**
+     * One gradient step on a single regressor vector. Lets callers build
+     * their own regressors (e.g. several interleaved input series).
+     * @param {number[]} combined - length = inputLag + outputLag
+     * @param {number} target     - desired output in (0, 1)
+     * @param {number} lr         - learning rate
+     * @returns {number} error (target - output) before the update
+     */
+    trainSample(combined, target, lr = this.learningRate) {
+        // Forward pass
+        const { hidden, output } = this.forward(combined);
+
+        // Error and output delta
+        const error = target - output;
+        const deltaOut = error * this.activationDerivative(output);
+
+        // --- Update output weights and bias ---
+        for (let h = 0; h < this.hiddenUnits; h++) {
+            this.weightsHiddenOutput[h] += lr * deltaOut * hidden[h];
+        }
+        this.biasOutput += lr * deltaOut;
+
+        // --- Update hidden weights and biases ---
+        for (let h = 0; h < this.hiddenUnits; h++) {
+            // Backprop from output to hidden unit h
+            const deltaHidden =
+                deltaOut *
+                this.weightsHiddenOutput[h] *
+                this.activationDerivative(hidden[h]);
+
+            const wRow = this.weightsInputHidden[h];
+            for (let k = 0; k < this.inputSize; k++) {
+                wRow[k] += lr * deltaHidden * combined[k];
+            }
+            this.biasHidden[h] += lr * deltaHidden;
+        }
+
+        return error;
+    }
+
     // ---------- Single-step prediction ----------
 
     /**
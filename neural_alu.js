@@ -14,6 +14,14 @@
 // *linear* architecture (no hidden layer). With the right feature map,
 // ADD/SUB/MUL can be made exact (within a chosen integer scale) without
 // needing a long training run.
+//
+// The fixed-point FMUL/FDIV instructions (rescaled by fxScale, rounded per
+// fxRound) have their own nets, learned from fxMul/fxDiv in fixed_math.js.
+// Their operands and results are normalized by `fxRange` (default 2^31, the
+// whole Q16.16 range) rather than `scale`, so fixed-point values beyond 1.0
+// do not saturate.
+
+const { fxMul, fxDiv } = require('./fixed_math');
 
 function clamp(x, lo, hi) {
   return Math.max(lo, Math.min(hi, x));
@@ -31,15 +39,25 @@ function randn() {
 // We keep a small feature map for the MLP case, and a richer one for a
 // linear model (which can be made exact for ADD/SUB/MUL).
 
+function roundHalfEven(y) {
+  const f = Math.floor(y);
+  const d = y - f;
+  if (d !== 0.5) return d < 0.5 ? f : f + 1;
+  return f % 2 === 0 ? f : f + 1;
+}
+
 // a,b already normalized into [-1,1]
-function featuresMLP(a, b, scale) {
+function featuresMLP(a, b, scale, fxScale) {
   // Key trick: include (a*b*scale) which equals (aInt*bInt)/scale in normalized units.
   const mulNorm = clamp(a * b * scale, -1, 1);
-  return [a, b, mulNorm, Math.abs(a), Math.abs(b)];
+  // Same for the fixed-point product and quotient.
+  const fmulNorm = clamp((a * b * scale) / fxScale, -1, 1);
+  const fdivNorm = (b === 0) ? 0 : clamp((a * fxScale) / (b * scale), -1, 1);
+  return [a, b, mulNorm, Math.abs(a), Math.abs(b), fmulNorm, fdivNorm];
 }
 
 // aInt,bInt are integers
-function featuresLinear(aInt, bInt, scale) {
+function featuresLinear(aInt, bInt, scale, fxScale) {
   const a = clamp(aInt / scale, -1, 1);
   const b = clamp(bInt / scale, -1, 1);
   const sum = clamp((aInt + bInt) / scale, -1, 1);
@@ -48,7 +66,9 @@ function featuresLinear(aInt, bInt, scale) {
   // "Real" division (not floored) — close to the desired target.
   const div = (bInt === 0) ? 0 : clamp((aInt / bInt) / scale, -1, 1);
   const absB = clamp(Math.abs(bInt) / scale, 0, 1);
-  return [a, b, sum, diff, mul, div, absB];
+  const fmul = clamp((aInt * bInt) / fxScale / scale, -1, 1);
+  const fdiv = (bInt === 0) ? 0 : clamp((aInt * fxScale) / bInt / scale, -1, 1);
+  return [a, b, sum, diff, mul, div, absB, fmul, fdiv];
 }
 
 // ---------------------------------------------------------------------------
@@ -170,65 +190,95 @@ class NeuralALU {
     // (The manual PDF’s reference uses Math.floor for DIV.)
     this.divDecode = options.divDecode ?? 'floor'; // 'floor' | 'round' | 'trunc'
 
-    // MLP uses 5 features; Linear uses 7 features.
+    // FMUL/FDIV: fixed-point scale and rounding (should match the CPU's), and
+    // the normalization range of their operands and results. Values beyond
+    // fxRange saturate (and fall back, with safetyFallback).
+    this.fxScale = options.fxScale ?? 65536;
+    this.fxRound = options.fxRound ?? 'floor'; // 'floor' | 'nearest-even' | 'toward-zero'
+    this.fxRange = options.fxRange ?? 2 ** 31;
+
+    // MLP uses 7 features; Linear uses 9 features.
     const outputActivation = options.outputActivation ?? ((this.architecture === 'linear') ? 'linear' : 'tanh');
 
     if (this.architecture === 'linear') {
-      this.addNet = new LinearNet(7);
-      this.subNet = new LinearNet(7);
-      this.mulNet = new LinearNet(7);
-      this.divNet = new LinearNet(7);
+      this.addNet = new LinearNet(9);
+      this.subNet = new LinearNet(9);
+      this.mulNet = new LinearNet(9);
+      this.divNet = new LinearNet(9);
+      this.fmulNet = new LinearNet(9);
+      this.fdivNet = new LinearNet(9);
       if (options.initAnalytic ?? true) this.initAnalytic();
     } else {
-      this.addNet = new MLP(this.hidden, 5, { outputActivation });
-      this.subNet = new MLP(this.hidden, 5, { outputActivation });
-      this.mulNet = new MLP(this.hidden, 5, { outputActivation });
-      this.divNet = new MLP(this.hidden, 5, { outputActivation });
+      this.addNet = new MLP(this.hidden, 7, { outputActivation });
+      this.subNet = new MLP(this.hidden, 7, { outputActivation });
+      this.mulNet = new MLP(this.hidden, 7, { outputActivation });
+      this.divNet = new MLP(this.hidden, 7, { outputActivation });
+      this.fmulNet = new MLP(this.hidden, 7, { outputActivation });
+      this.fdivNet = new MLP(this.hidden, 7, { outputActivation });
+    }
+  }
+
+  // int <-> [-1,1] normalization range of `op`.
+  _range(op) {
+    return (op === 'FMUL' || op === 'FDIV') ? this.fxRange : this.scale;
+  }
+
+  _features(op, aInt, bInt) {
+    const range = this._range(op);
+    if (this.architecture === 'linear') return featuresLinear(aInt, bInt, range, this.fxScale);
+    return featuresMLP(this._encInt(aInt, op), this._encInt(bInt, op), range, this.fxScale);
+  }
+
+  _exact(op, aInt, bInt) {
+    switch (op) {
+      case 'ADD': return aInt + bInt;
+      case 'SUB': return aInt - bInt;
+      case 'MUL': return aInt * bInt;
+      case 'DIV': return (bInt === 0) ? 0 : Math.floor(aInt / bInt);
+      case 'FMUL': return Number(fxMul(aInt, bInt, this.fxScale, this.fxRound));
+      case 'FDIV': return (bInt === 0) ? 0 : Number(fxDiv(aInt, bInt, this.fxScale, this.fxRound));
+      default:
+        throw new Error(`NeuralALU: unknown op '${op}'`);
     }
   }
 
-  _encInt(x) { return clamp(x / this.scale, -1, 1); }
+  _encInt(x, op) { return clamp(x / this._range(op), -1, 1); }
 
   _decodeInt(y, op) {
-    const yy = clamp(y, -1, 1) * this.scale;
+    const yy = clamp(y, -1, 1) * this._range(op);
     if (op === 'DIV') {
       if (this.divDecode === 'trunc') return Math.trunc(yy);
       if (this.divDecode === 'round') return Math.round(yy);
       return Math.floor(yy);
     }
+    if (op === 'FMUL' || op === 'FDIV') {
+      if (this.fxRound === 'toward-zero') return Math.trunc(yy);
+      if (this.fxRound === 'nearest-even') return roundHalfEven(yy);
+      return Math.floor(yy);
+    }
     return Math.round(yy);
   }
 
+  _net(op) {
+    switch (op) {
+      case 'ADD': return this.addNet;
+      case 'SUB': return this.subNet;
+      case 'MUL': return this.mulNet;
+      case 'DIV': return this.divNet;
+      case 'FMUL': return this.fmulNet;
+      case 'FDIV': return this.fdivNet;
+      default: return null;
+    }
+  }
+
   // Compute an arithmetic op. Returns an integer.
-  // op: 'ADD' | 'SUB' | 'MUL' | 'DIV'
+  // op: 'ADD' | 'SUB' | 'MUL' | 'DIV' | 'FMUL' | 'FDIV'
   computeDetailed(op, aInt, bInt) {
     // Exact reference
-    let exact;
-    switch (op) {
-      case 'ADD': exact = aInt + bInt; break;
-      case 'SUB': exact = aInt - bInt; break;
-      case 'MUL': exact = aInt * bInt; break;
-      case 'DIV':
-        exact = (bInt === 0) ? 0 : Math.floor(aInt / bInt);
-        break;
-      default:
-        throw new Error(`NeuralALU: unknown op '${op}'`);
-    }
+    const exact = this._exact(op, aInt, bInt);
 
     // Neural prediction
-    const a = this._encInt(aInt);
-    const b = this._encInt(bInt);
-    const x = (this.architecture === 'linear')
-      ? featuresLinear(aInt, bInt, this.scale)
-      : featuresMLP(a, b, this.scale);
-    let y;
-    switch (op) {
-      case 'ADD': y = this.addNet.predict(x); break;
-      case 'SUB': y = this.subNet.predict(x); break;
-      case 'MUL': y = this.mulNet.predict(x); break;
-      case 'DIV': y = this.divNet.predict(x); break;
-      default: y = 0;
-    }
+    const y = this._net(op).predict(this._features(op, aInt, bInt));
     const pred = this._decodeInt(y, op);
 
     // Mix neural with exact to keep programs runnable while you experiment.
@@ -260,39 +310,31 @@ class NeuralALU {
     // For MUL, avoid saturating targets by default: a*b should usually fit inside `scale`.
     const mulRange = options.mulRange ?? Math.max(8, Math.floor(Math.sqrt(this.scale) * 0.9));
 
-    const nets = [
-      ['ADD', this.addNet],
-      ['SUB', this.subNet],
-      ['MUL', this.mulNet],
-      ['DIV', this.divNet],
-    ];
+    // FMUL: fixed operands whose product (after rescaling) stays inside `fxRange`.
+    const fmulRange = options.fmulRange ?? Math.floor(Math.sqrt(this.fxRange * this.fxScale) * 0.9);
+
+    const nets = ['ADD', 'SUB', 'MUL', 'DIV', 'FMUL', 'FDIV'].map((op) => [op, this._net(op)]);
 
     for (let e = 0; e < epochs; e++) {
       for (const [op, net] of nets) {
         let loss = 0;
-        const range = (op === 'MUL') ? mulRange : operandRange;
+        const range = (op === 'MUL') ? mulRange : (op === 'FMUL') ? fmulRange : operandRange;
         for (let s = 0; s < stepsPerEpoch; s++) {
-          const aInt = Math.floor((Math.random() * 2 - 1) * range);
+          let aInt = Math.floor((Math.random() * 2 - 1) * range);
           let bInt = Math.floor((Math.random() * 2 - 1) * range);
           if (op === 'DIV') {
             if (bInt === 0) bInt = 1;
           }
-
-          let t;
-          switch (op) {
-            case 'ADD': t = aInt + bInt; break;
-            case 'SUB': t = aInt - bInt; break;
-            case 'MUL': t = aInt * bInt; break;
-            case 'DIV': t = Math.floor(aInt / bInt); break;
-            default: t = 0;
+          if (op === 'FDIV') {
+            // |divisor| in [fxScale/2, 2*fxScale], so the quotient stays inside `fxRange`.
+            aInt = Math.floor((Math.random() * 2 - 1) * this.fxRange / 4);
+            const mag = Math.floor(this.fxScale * (0.5 + Math.random() * 1.5));
+            bInt = Math.random() < 0.5 ? -mag : mag;
           }
 
-          const a = this._encInt(aInt);
-          const b = this._encInt(bInt);
-          const x = (this.architecture === 'linear')
-            ? featuresLinear(aInt, bInt, this.scale)
-            : featuresMLP(a, b, this.scale);
-          const target = this._encInt(t);
+          const t = this._exact(op, aInt, bInt);
+          const x = this._features(op, aInt, bInt);
+          const target = this._encInt(t, op);
           loss += net.trainOne(x, target, lr);
         }
         // Lightly anneal learning rate per epoch
@@ -302,10 +344,11 @@ class NeuralALU {
   }
 
   // Analytic initialization for the *linear* architecture.
-  // This makes ADD/SUB/MUL exact (within scale, i.e. without feature clamping).
+  // This makes ADD/SUB/MUL exact (within scale, i.e. without feature clamping),
+  // FMUL/FDIV exact up to rounding (within fxRange).
   initAnalytic() {
     if (this.architecture !== 'linear') return;
-    // featuresLinear: [a, b, sum, diff, mul, div, absB]
+    // featuresLinear: [a, b, sum, diff, mul, div, absB, fmul, fdiv]
     // ADD: y = sum
     this.addNet.w.fill(0); this.addNet.w[2] = 1; this.addNet.b = 0;
     // SUB: y = diff
@@ -314,6 +357,9 @@ class NeuralALU {
     this.mulNet.w.fill(0); this.mulNet.w[4] = 1; this.mulNet.b = 0;
     // DIV: start with "real division" feature, then let training refine.
     this.divNet.w.fill(0); this.divNet.w[5] = 1; this.divNet.b = 0;
+    // FMUL/FDIV: y = fmul / fdiv (real-valued; decoded with fxRound)
+    this.fmulNet.w.fill(0); this.fmulNet.w[7] = 1; this.fmulNet.b = 0;
+    this.fdivNet.w.fill(0); this.fdivNet.w[8] = 1; this.fdivNet.b = 0;
   }
 }
 
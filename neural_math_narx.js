@@ -1,7 +1,7 @@
 // neural_math_narx.js
 //
 // A tiny "math coprocessor" built from NARX networks, intended to plug into
-// pl0_cpu_sim.js as neural execution for unary transcendental-ish ops.
+// pl0_cpu_sim.js as neural execution for its fixed-point math ops.
 //
 // Fixed-point convention (default Q16.16):
 //   - CPU registers/memory hold integers
@@ -11,44 +11,33 @@
 // using a per-op bounded range. The NARX predicts in [0,1], then we decode
 // back into fixed-point.
 //
-// Supported ops (string keys):
-//   FSIN, FCOS, FTAN, FTANH, FSINH, FCOSH, FLN, FLOG10, FEXP, FSQRT
+// Supported ops: every op of the MATH_OPS registry in fixed_math.js (FSIN,
+// FLN, FATAN2, ...). DEFAULT_OP_SPECS holds their normalization ranges (the
+// registry's `model`), and the reference every prediction is measured and
+// falls back against is the same refMathFx/refMathFx2 the CPU runs.
+//
+// The periodic ops FSIN/FCOS/FTAN are range-reduced first (reduceTrig): their
+// nets only model the primary interval [0, π/2] and the folded sign is applied
+// to the output, so programs get correct results for any angle.
+//
+// Binary ops have a second input range (in2Lo/in2Hi). Their NARX sees both
+// input histories interleaved: [a(t), b(t), a(t-1), b(t-1), ..., y(t-1), ...].
 
 const NARX = require('./narx');
-
-function clamp(x, lo, hi) {
-  return Math.max(lo, Math.min(hi, x));
-}
+const {
+  MATH_OPS, refMathFx, refMathFx2, reduceTrig, clamp, fxToFloat, floatToFx,
+} = require('./fixed_math');
 
 // ------------------------- Fixed-point ranges -------------------------
 // These ranges define the normalization from fixed-point <-> [0,1].
-// You can widen them, but training will become harder and saturation more likely.
-const DEFAULT_OP_SPECS = {
-  // Trig: input in radians
-  FSIN:   { inLo: -Math.PI, inHi:  Math.PI, outLo: -1,  outHi:  1 },
-  FCOS:   { inLo: -Math.PI, inHi:  Math.PI, outLo: -1,  outHi:  1 },
-  FTAN:   { inLo: -1.3,     inHi:  1.3,     outLo: -8,  outHi:  8 },
-  // Hyperbolic
-  FTANH:  { inLo: -3,       inHi:  3,       outLo: -1,  outHi:  1 },
-  FSINH:  { inLo: -3,       inHi:  3,       outLo: -8,  outHi:  8 },
-  FCOSH:  { inLo: -3,       inHi:  3,       outLo:  0,  outHi:  10 },
-  // Logs (domain x>0)
-  FLN:    { inLo:  1e-6,    inHi:  256,     outLo: -16, outHi:  16 },
-  FLOG10: { inLo:  1e-6,    inHi:  256,     outLo: -16, outHi:  16 },
-  // Exp (can grow)
-  FEXP:   { inLo: -8,       inHi:  8,       outLo:  0,  outHi:  256 },
-  // Sqrt (domain x>=0)
-  FSQRT:  { inLo:  0,       inHi:  256,     outLo:  0,  outHi:  16 },
-};
-
-function fxToFloat(xFx, scale) {
-  return xFx / scale;
-}
-
-function floatToFx(x, scale) {
-  const MAX_FX = 0x7fffffff;
-  const v = Math.round(x * scale);
-  return clamp(v, -MAX_FX, MAX_FX);
+// You can widen them (opSpecs option), but training will become harder and
+// saturation more likely.
+const DEFAULT_OP_SPECS = Object.fromEntries(
+  Object.entries(MATH_OPS).map(([op, spec]) => [op, { ...spec.model }]),
+);
+
+function isBinaryOp(spec) {
+  return spec.in2Lo !== undefined;
 }
 
 function encodeNormFromRange(x, lo, hi) {
@@ -61,41 +50,6 @@ function decodeNormToRange(u, lo, hi) {
   return lo + uu * (hi - lo);
 }
 
-// Deterministic reference for fixed-point unary math ops.
-function refMathFx(op, xFx, scale) {
-  const spec = DEFAULT_OP_SPECS[op];
-  const x0 = fxToFloat(xFx, scale);
-  // Clamp into the modeled input range so deterministic and neural paths match.
-  const x = spec ? clamp(x0, spec.inLo, spec.inHi) : x0;
-  let y;
-  switch (op) {
-    case 'FSIN': y = Math.sin(x); break;
-    case 'FCOS': y = Math.cos(x); break;
-    case 'FTAN': y = clamp(Math.tan(x), -8, 8); break;
-    case 'FTANH': y = Math.tanh(x); break;
-    case 'FSINH': y = clamp(Math.sinh(x), -8, 8); break;
-    case 'FCOSH': y = clamp(Math.cosh(x), 0, 10); break;
-    case 'FLN':
-      if (x <= 0) return floatToFx(DEFAULT_OP_SPECS.FLN.outLo, scale);
-      y = clamp(Math.log(x), -16, 16);
-      break;
-    case 'FLOG10':
-      if (x <= 0) return floatToFx(DEFAULT_OP_SPECS.FLOG10.outLo, scale);
-      y = clamp(Math.log10(x), -16, 16);
-      break;
-    case 'FEXP':
-      y = clamp(Math.exp(x), 0, 256);
-      break;
-    case 'FSQRT':
-      y = (x <= 0) ? 0 : Math.sqrt(x);
-      y = clamp(y, 0, 16);
-      break;
-    default:
-      throw new Error(`refMathFx: unknown op '${op}'`);
-  }
-  return floatToFx(y, scale);
-}
-
 // ----------------------------- Coprocessor ----------------------------
 
 class NeuralMathNARX {
@@ -113,11 +67,7 @@ class NeuralMathNARX {
     // Per-op normalization ranges (float domain).
     this.opSpecs = { ...DEFAULT_OP_SPECS, ...(options.opSpecs ?? {}) };
 
-    this.ops = options.ops ?? [
-      'FSIN', 'FCOS', 'FTAN',
-      'FTANH', 'FSINH', 'FCOSH',
-      'FLN', 'FLOG10', 'FEXP', 'FSQRT',
-    ];
+    this.ops = options.ops ?? Object.keys(MATH_OPS);
 
     this.opSpecs = { ...DEFAULT_OP_SPECS, ...(options.opSpecs ?? {}) };
     for (const op of this.ops) {
@@ -128,9 +78,10 @@ class NeuralMathNARX {
     this.state = {};
     for (const op of this.ops) {
       if (!this.opSpecs[op]) throw new Error(`NeuralMathNARX: missing opSpec for '${op}'`);
-      this.nets[op] = new NARX(this.inputLag, this.outputLag, this.hiddenUnits);
+      const inputs = isBinaryOp(this.opSpecs[op]) ? 2 * this.inputLag : this.inputLag;
+      this.nets[op] = new NARX(inputs, this.outputLag, this.hiddenUnits);
       this.state[op] = {
-        inHist: new Array(this.inputLag).fill(0),
+        inHist: new Array(inputs).fill(0),
         outHist: new Array(this.outputLag).fill(0),
       };
     }
@@ -143,6 +94,11 @@ class NeuralMathNARX {
     };
   }
 
+  // Whether `op` has a net here; the CPU runs other math ops deterministically.
+  supports(op) {
+    return op in this.nets;
+  }
+
   reset() {
     for (const op of this.ops) {
       this.state[op].inHist.fill(0);
@@ -161,6 +117,10 @@ class NeuralMathNARX {
 
     for (const op of this.ops) {
       const spec = this.opSpecs[op];
+      if (isBinaryOp(spec)) {
+        this.trainBinary(op, { length, epochs, learningRate });
+        continue;
+      }
       const inSeq = new Array(length);
       const outSeq = new Array(length);
       for (let i = 0; i < length; i++) {
@@ -178,23 +138,61 @@ class NeuralMathNARX {
     }
   }
 
-  // Compute unary op on fixed-point integer input; returns fixed-point integer output.
-  computeDetailed(op, xFx) {
+  // Binary ops train sample by sample (narx.js train() takes a single input
+  // series), feeding the interleaved histories exactly as computeDetailed does.
+  trainBinary(op, { length, epochs, learningRate }) {
+    const spec = this.opSpecs[op];
+    const net = this.nets[op];
+    const samples = new Array(length);
+    for (let i = 0; i < length; i++) {
+      const aNorm = Math.random();
+      const bNorm = Math.random();
+      const aFx = floatToFx(decodeNormToRange(aNorm, spec.inLo, spec.inHi), this.scale);
+      const bFx = floatToFx(decodeNormToRange(bNorm, spec.in2Lo, spec.in2Hi), this.scale);
+      const y = fxToFloat(refMathFx2(op, aFx, bFx, this.scale), this.scale);
+      samples[i] = [aNorm, bNorm, encodeNormFromRange(y, spec.outLo, spec.outHi)];
+    }
+    for (let e = 0; e < epochs; e++) {
+      const inHist = new Array(2 * this.inputLag).fill(0);
+      const outHist = new Array(this.outputLag).fill(0);
+      for (const [aNorm, bNorm, target] of samples) {
+        inHist.splice(inHist.length - 2, 2);
+        inHist.unshift(aNorm, bNorm);
+        net.trainSample(inHist.concat(outHist), target, learningRate);
+        outHist.pop();
+        outHist.unshift(target);
+      }
+    }
+  }
+
+  // Compute an op on fixed-point integer input(s) (yFx only for binary ops);
+  // returns fixed-point integer output.
+  computeDetailed(op, xFx, yFx = 0) {
     if (!(op in this.nets)) throw new Error(`NeuralMathNARX: unsupported op '${op}'`);
 
     const spec = this.opSpecs[op];
+    const binary = isBinaryOp(spec);
 
     const s = this.state[op];
-    const x = fxToFloat(xFx, this.scale);
+    let x = fxToFloat(xFx, this.scale);
+    // Periodic ops: the net sees the reduced argument and predicts the
+    // primary-interval value; `sign` maps it back.
+    let sign = 1;
+    if (MATH_OPS[op] && MATH_OPS[op].periodic) ({ t: x, sign } = reduceTrig(op, x));
     const inNorm = encodeNormFromRange(x, spec.inLo, spec.inHi);
     // Feed the *current* input by shifting it into the input history before forward.
-    s.inHist.pop();
-    s.inHist.unshift(inNorm);
+    if (binary) {
+      s.inHist.splice(s.inHist.length - 2, 2);
+      s.inHist.unshift(inNorm, encodeNormFromRange(fxToFloat(yFx, this.scale), spec.in2Lo, spec.in2Hi));
+    } else {
+      s.inHist.pop();
+      s.inHist.unshift(inNorm);
+    }
     const combined = s.inHist.concat(s.outHist);
     const ySig = this.nets[op].forward(combined).output; // already in (0,1)
 
-    const exactFx = refMathFx(op, xFx, this.scale);
-    const exact = fxToFloat(exactFx, this.scale);
+    const exactFx = binary ? refMathFx2(op, xFx, yFx, this.scale) : refMathFx(op, xFx, this.scale);
+    const exact = sign * fxToFloat(exactFx, this.scale);
     const exactNorm = encodeNormFromRange(exact, spec.outLo, spec.outHi);
     const mixedNorm = clamp(exactNorm * (1 - this.mix) + ySig * this.mix, 0, 1);
 
@@ -212,8 +210,8 @@ class NeuralMathNARX {
 
     const resultFloat = decodeNormToRange(outNorm, spec.outLo, spec.outHi);
     const predFloat = decodeNormToRange(ySig, spec.outLo, spec.outHi);
-    const result = floatToFx(resultFloat, this.scale);
-    const pred = floatToFx(predFloat, this.scale);
+    const result = floatToFx(sign * resultFloat, this.scale);
+    const pred = floatToFx(sign * predFloat, this.scale);
 
     this.stats.calls[op] = (this.stats.calls[op] || 0) + 1;
     this.stats.absErrorSum[op] = (this.stats.absErrorSum[op] || 0) + absErr;
@@ -222,9 +220,9 @@ class NeuralMathNARX {
     return { result, pred, exact: exactFx, usedFallback, outNorm, exactNorm, predNorm: ySig };
   }
 
-  compute(op, xFx) {
-    return this.computeDetailed(op, xFx).result;
+  compute(op, xFx, yFx = 0) {
+    return this.computeDetailed(op, xFx, yFx).result;
   }
 }
 
-module.exports = { NeuralMathNARX, refMathFx, DEFAULT_OP_SPECS };
+module.exports = { NeuralMathNARX, refMathFx, refMathFx2, DEFAULT_OP_SPECS };
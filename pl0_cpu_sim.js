@@ -3,11 +3,17 @@
 // A PL/0-capable CPU simulator, compatible with the instruction set described
 // in the provided manual PDF:
 //   LOAD/STORE/PUSH/POP/PEEK/POKE/ADD/SUB/MUL/DIV/JMP/JZ/JNZ/CALL/PL0CALL/RET/HALT
+// plus extensions (MOV, comparisons SEQ..SGE/ODD, fixed-point FMUL/FDIV, math
+// FSIN..FROUND and two-operand FATAN2..FMAX,
+// activation records ENTER/LEAVE/LEA with [fp-N], [rY+N] and [rY+rZ] addressing,
+// BOUND for array index checks).
 //
 // This script includes:
 //   1) CounterMachine-compatible CPU simulator
-//   2) A small PL/0 compiler (tokenize + recursive descent parser) that compiles
-//      into the above assembly (same style as in the PDF)
+//   2) A small PL/0 compiler (tokenize + recursive descent parser building an
+//      AST + code generator) that compiles into the above assembly (same style
+//      as in the PDF); -O1/-O2 add constant folding and the peephole passes of
+//      pl0_optimizer.js
 //   3) A demo (matrixTest) that compiles and runs
 //
 // Run:
@@ -18,110 +24,129 @@
 // CPU simulator (CounterMachine-compatible)
 // -----------------------------------------------------------------------------
 
-function clamp(x, lo, hi) {
-  return Math.max(lo, Math.min(hi, x));
-}
-
-// Deterministic reference for the extended unary math ops.
-//
-// Fixed-point convention (default Q16.16):
-//   - registers/memory hold integers
-//   - a real value v is encoded as vFx = round(v * fxScale)
-//
-// Intrinsics operate on fixed-point values and return fixed-point values.
-// This makes them composable with PL/0 integer arithmetic (treating those
-// integers as fixed-point).
-
-function fxToFloat(xFx, fxScale) {
-  return xFx / fxScale;
+// Fixed-point math (op registry, references, conversions) is shared with
+// the NARX coprocessor; see fixed_math.js.
+const {
+  MATH_OPS, intrinsicMap, refMathFx, refMathFx2, floatToFx, FX_ROUNDING, fxMul, fxDiv,
+} = require('./fixed_math');
+const { cordicMathFx, cordicMathFx2 } = require('./cordic_math');
+const { optimizeCode } = require('./pl0_optimizer');
+
+// Deterministic math backends: 'float' (JS doubles / Math.*) or 'cordic'
+// (integer-only, bit-exact; see cordic_math.js).
+const MATH_IMPLS = {
+  float: { fx: refMathFx, fx2: refMathFx2 },
+  cordic: { fx: cordicMathFx, fx2: cordicMathFx2 },
+};
+
+const WORD_SIZES = [16, 32, 64];
+const OVERFLOW_MODES = ['wrap', 'saturate', 'trap'];
+
+// What is wrong with the machine options fxScale, fxRound, mathImpl, word and
+// overflow (shared by PL0CPU and compilePL0), or null. FMUL/FDIV rescale with
+// exact integer arithmetic, so fxScale must be a positive integer.
+function machineOptionError({ fxScale, fxRound, mathImpl, word, overflow }) {
+  if (fxScale != null && !(Number.isSafeInteger(fxScale) && fxScale > 0)) {
+    return `Invalid fixed-point scale ${fxScale} (expected a positive integer)`;
+  }
+  if (fxRound != null && !FX_ROUNDING.includes(fxRound)) {
+    return `Unknown fixed-point rounding mode '${fxRound}' (expected ${FX_ROUNDING.join(', ')})`;
+  }
+  if (mathImpl != null && !MATH_IMPLS[mathImpl]) {
+    return `Unknown math implementation '${mathImpl}' (expected ${Object.keys(MATH_IMPLS).join(' or ')})`;
+  }
+  if (word != null && !WORD_SIZES.includes(word)) return `Unsupported word size ${word} (expected ${WORD_SIZES.join(', ')})`;
+  if (overflow != null && !OVERFLOW_MODES.includes(overflow)) {
+    return `Unknown overflow mode '${overflow}' (expected ${OVERFLOW_MODES.join(', ')})`;
+  }
+  return null;
 }
 
-function floatToFx(x, fxScale) {
-  // Keep within a safe-ish 32-bit range by default.
-  const MAX_FX = 0x7fffffff;
-  const v = Math.round(x * fxScale);
-  return clamp(v, -MAX_FX, MAX_FX);
+// With a 64-bit word, values beyond 2^53 are kept as BigInt so they stay
+// exact; everything else is a plain number.
+function bigToNum(v) {
+  return v >= BigInt(Number.MIN_SAFE_INTEGER) && v <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(v) : v;
 }
 
-function refMathFx(op, xFx, fxScale) {
-  const x0 = fxToFloat(xFx, fxScale);
-  let x = x0;
-  let y;
-  switch (op) {
-    case 'FSIN': x = clamp(x, -Math.PI, Math.PI); y = Math.sin(x); break;
-    case 'FCOS': x = clamp(x, -Math.PI, Math.PI); y = Math.cos(x); break;
-    case 'FTAN': {
-      // tan can explode; clamp output to keep the fixed-point range sane.
-      x = clamp(x, -1.3, 1.3);
-      const t = Math.tan(x);
-      y = clamp(t, -8, 8);
-      break;
-    }
-    case 'FTANH': x = clamp(x, -3, 3); y = Math.tanh(x); break;
-    case 'FSINH': x = clamp(x, -3, 3); y = clamp(Math.sinh(x), -8, 8); break;
-    case 'FCOSH': x = clamp(x, -3, 3); y = clamp(Math.cosh(x), 0, 10); break;
-    case 'FLN': {
-      // ln(x) for x<=0 saturates negative.
-      if (x <= 0) return floatToFx(-16, fxScale);
-      x = clamp(x, 1e-6, 256);
-      y = clamp(Math.log(x), -16, 16);
-      break;
-    }
-    case 'FLOG10': {
-      if (x <= 0) return floatToFx(-16, fxScale);
-      x = clamp(x, 1e-6, 256);
-      y = clamp(Math.log10(x), -16, 16);
-      break;
-    }
-    case 'FEXP': {
-      // exp grows quickly; clamp input to avoid huge outputs.
-      x = clamp(x, -8, 8);
-      y = clamp(Math.exp(x), 0, 256);
-      break;
-    }
-    case 'FSQRT': {
-      x = clamp(x, 0, 256);
-      y = (x <= 0) ? 0 : Math.sqrt(x);
-      y = clamp(y, 0, 16);
-      break;
-    }
-    default:
-      throw new Error(`refMathFx: unknown op '${op}'`);
-  }
-  return floatToFx(y, fxScale);
+function floorDivBig(a, b) {
+  const q = a / b;
+  return (a % b !== 0n && (a < 0n) !== (b < 0n)) ? q - 1n : q;
 }
 
 class PL0CPU {
   // options:
   //   neuralALU: instance with compute(op, aInt, bInt) -> int
-  //   neuralMath: instance with compute(op, xInt) -> int  (for unary ops like FSIN/FLN/...)
+  //   neuralMath: instance with compute(op, xInt[, yInt]) -> int  (for math ops like FSIN/FATAN2/...);
+  //               ops it does not support (optional supports(op)) run deterministically
   //   fxScale: fixed-point scaling factor for math intrinsics (default 65536)
+  //   fxRound: rounding of FMUL/FDIV, 'floor' (default), 'nearest-even' or 'toward-zero'
+  //   mathImpl: deterministic math backend, 'float' (default) or 'cordic'
+  //   word: machine word size 16, 32 or 64 (default null: unbounded JS numbers)
+  //   overflow: what a result that does not fit the word does, 'wrap' (two's
+  //             complement, default), 'saturate' or 'trap'
   //   trackNeuralStats: boolean (default true if neuralALU provided)
+  //   stackLimit: lowest memory address the frame stack may grow into (default 0)
+  //   trace: function called with { program, index, at } each time execution
+  //          moves on to another statement of a compiled program (`at` is
+  //          its PL0SourceMaps entry)
   constructor(numRegs = 4, memorySize = 256, dataStackSize = 256, options = {}) {
     this.numRegs = numRegs;
     this.regs = new Array(numRegs).fill(0);
     this.memory = new Array(memorySize).fill(0);
 
+    // Frame stack (activation records) lives in memory and grows downward
+    // from the top. `sp` is the lowest used cell, `fp` the current frame.
+    this.sp = memorySize;
+    this.fp = memorySize;
+    this.stackLimit = Number.isFinite(options.stackLimit) ? options.stackLimit : 0;
+
     this.instructions = [];
     this.pointer = 0;
     this.running = false;
 
     this.labelMap = {};
     this.callStack = [];
+    // Compiled program whose code is running (null: the top-level instructions).
+    this.program = null;
+    this.trace = options.trace ?? null;
+    // Steps taken by the last execute() (a label passed counts as one).
+    this.steps = 0;
     this.dataStack = [];
     this.dataStackMax = dataStackSize;
 
     // Fixed-point scaling for intrinsic math.
     this.fxScale = Number.isFinite(options.fxScale) ? options.fxScale : 65536;
+    const optionError = machineOptionError(options);
+    if (optionError) throw new Error(optionError);
+    this.fxRound = options.fxRound ?? 'floor';
+    this.mathImpl = options.mathImpl ?? 'float';
+
+    // Machine word. Every value written to a register or memory cell (ALU and
+    // math results, immediates, LOAD/STORE) goes through _fit().
+    this.word = options.word ?? null;
+    this.overflowMode = options.overflow ?? 'wrap';
+    if (this.word !== null) {
+      this.wordMax = (1n << BigInt(this.word - 1)) - 1n;
+      this.wordMin = -this.wordMax - 1n;
+    }
+    // flag is sticky: set by the first overflow of the run.
+    this.overflowStats = {
+      enabled: this.word !== null,
+      word: this.word,
+      mode: this.overflowMode,
+      flag: false,
+      count: 0,
+      ops: {},
+    };
 
     this.neuralALU = options.neuralALU ?? null;
     this.neuralMath = options.neuralMath ?? null;
     this.trackNeuralStats = options.trackNeuralStats ?? (!!this.neuralALU || !!this.neuralMath);
     this.neuralStats = {
       enabled: !!this.neuralALU,
-      ops: { ADD: 0, SUB: 0, MUL: 0, DIV: 0 },
-      fallbacks: { ADD: 0, SUB: 0, MUL: 0, DIV: 0 },
-      absErrorSum: { ADD: 0, SUB: 0, MUL: 0, DIV: 0 },
+      ops: { ADD: 0, SUB: 0, MUL: 0, DIV: 0, FMUL: 0, FDIV: 0 },
+      fallbacks: { ADD: 0, SUB: 0, MUL: 0, DIV: 0, FMUL: 0, FDIV: 0 },
+      absErrorSum: { ADD: 0, SUB: 0, MUL: 0, DIV: 0, FMUL: 0, FDIV: 0 },
     };
 
     this.neuralMathStats = null;
@@ -148,6 +173,115 @@ class PL0CPU {
     }
   }
 
+  // Whether math op `op` goes to the neural coprocessor.
+  useNeuralMath(op) {
+    if (!this.neuralMath) return false;
+    return typeof this.neuralMath.supports !== 'function' || this.neuralMath.supports(op);
+  }
+
+  // Fit value `v` (number or BigInt) into the machine word, applying the
+  // overflow mode; `op` names the instruction for the stats and trap message.
+  _fit(v, op) {
+    if (this.word === null) return typeof v === 'bigint' ? Number(v) : v;
+    if (typeof v === 'number') {
+      if (Number.isSafeInteger(v) && (this.word === 64 || (v >= -(2 ** (this.word - 1)) && v < 2 ** (this.word - 1)))) {
+        return v || 0;
+      }
+      v = BigInt(Math.trunc(v));
+    }
+    if (v >= this.wordMin && v <= this.wordMax) return bigToNum(v);
+
+    const stats = this.overflowStats;
+    stats.flag = true;
+    stats.count++;
+    stats.ops[op] = (stats.ops[op] || 0) + 1;
+    if (this.overflowMode === 'trap') {
+      throw new Error(`Integer overflow in ${op}: ${v} does not fit in ${this.word} bits`);
+    }
+    if (this.overflowMode === 'saturate') return bigToNum(v < this.wordMin ? this.wordMin : this.wordMax);
+    return bigToNum(BigInt.asIntN(this.word, v));
+  }
+
+  // Exact a op b. Falls back to BigInt when the result leaves the safe range
+  // (only with a word size; unbounded mode keeps plain JS numbers). FMUL/FDIV
+  // always form their double-width intermediate exactly.
+  _exactALU(op, a, b) {
+    if (op === 'FMUL') return fxMul(a, b, this.fxScale, this.fxRound);
+    if (op === 'FDIV') return fxDiv(a, b, this.fxScale, this.fxRound);
+    if (typeof a === 'number' && typeof b === 'number') {
+      let r;
+      switch (op) {
+        case 'ADD': r = a + b; break;
+        case 'SUB': r = a - b; break;
+        case 'MUL': r = a * b; break;
+        default: r = Math.floor(a / b); break;
+      }
+      // Plain numbers are exact unless the result leaves the safe range, or a
+      // 64-bit division has operands too wide for a correctly floored quotient.
+      if (this.word === null) return r;
+      if (Number.isSafeInteger(r) && !(op === 'DIV' && this.word === 64)) return r;
+    }
+    const x = BigInt(a);
+    const y = BigInt(b);
+    switch (op) {
+      case 'ADD': return x + y;
+      case 'SUB': return x - y;
+      case 'MUL': return x * y;
+      default: return floorDivBig(x, y);
+    }
+  }
+
+  _execALU(op, args) {
+    const rX = this._parseReg(args[0]);
+    const rY = this._parseReg(args[1]);
+    const a = this.regs[rX];
+    const b = this.regs[rY];
+    if ((op === 'DIV' || op === 'FDIV') && (b === 0 || b === 0n)) throw new Error('Division by zero');
+    let result;
+    if (this.neuralALU) {
+      if (typeof this.neuralALU.computeDetailed === 'function') {
+        const d = this.neuralALU.computeDetailed(op, Number(a), Number(b));
+        result = d.result;
+        if (this.trackNeuralStats) {
+          this.neuralStats.ops[op]++;
+          this.neuralStats.absErrorSum[op] += Math.abs(d.pred - d.exact);
+          if (d.usedFallback) this.neuralStats.fallbacks[op]++;
+        }
+      } else {
+        result = this.neuralALU.compute(op, Number(a), Number(b));
+        if (this.trackNeuralStats) this.neuralStats.ops[op]++;
+      }
+    } else {
+      result = this._exactALU(op, a, b);
+    }
+    this.regs[rX] = this._fit(result, op);
+  }
+
+  _execMath(op, args) {
+    const rX = this._parseReg(args[0]);
+    const spec = MATH_OPS[op];
+    const raw = spec.arity === 2 ? [this.regs[rX], this.regs[this._parseReg(args[1])]] : [this.regs[rX]];
+    const operands = raw.map(Number);
+    let result;
+    if (spec.exact && !this.useNeuralMath(op)) {
+      // abs/min/max: exact on the register values (BigInt too), either backend.
+      result = spec.exact(...raw);
+    } else if (this.useNeuralMath(op)) {
+      if (typeof this.neuralMath.computeDetailed === 'function') {
+        result = this.neuralMath.computeDetailed(op, ...operands).result;
+      } else {
+        result = this.neuralMath.compute(op, ...operands);
+      }
+    } else {
+      // Deterministic fallback
+      const impl = MATH_IMPLS[this.mathImpl];
+      result = spec.arity === 2
+        ? impl.fx2(op, operands[0], operands[1], this.fxScale)
+        : impl.fx(op, operands[0], this.fxScale);
+    }
+    this.regs[rX] = this._fit(result, op);
+  }
+
   _parseReg(token) {
     // token like r0 or r1,
     const t = token.endsWith(',') ? token.slice(0, -1) : token;
@@ -158,21 +292,34 @@ class PL0CPU {
   }
 
   _parseAddrBracket(token) {
-    // token like [50] or [r1]
+    // token like [50], [r1], [r1+2], [r1+r0], [fp] or [fp-3]
     if (!token.startsWith('[') || !token.endsWith(']')) {
       throw new Error(`Bad address token: ${token}`);
     }
     const inner = token.slice(1, -1).trim();
-    if (/^r\d+$/i.test(inner)) {
-      const r = this._parseReg(inner);
-      return { mode: 'reg', reg: r };
+    const indexed = /^(r\d+)\s*\+\s*(r\d+)$/i.exec(inner);
+    if (indexed) {
+      return { mode: 'reg', reg: this._parseReg(indexed[1]), index: this._parseReg(indexed[2]), offset: 0 };
+    }
+    const based = /^(r\d+|fp)\s*(?:([+-])\s*(\d+))?$/i.exec(inner);
+    if (based) {
+      const offset = based[2] ? parseInt(based[2] + based[3], 10) : 0;
+      if (based[1].toLowerCase() === 'fp') return { mode: 'fp', offset };
+      const r = this._parseReg(based[1]);
+      return { mode: 'reg', reg: r, offset };
     }
     if (!/^-?\d+$/.test(inner)) throw new Error(`Bad address literal: ${token}`);
     return { mode: 'imm', addr: parseInt(inner, 10) };
   }
 
   _loadAddr(addrSpec) {
-    const addr = addrSpec.mode === 'reg' ? this.regs[addrSpec.reg] : addrSpec.addr;
+    let addr;
+    if (addrSpec.mode === 'reg') {
+      addr = Number(this.regs[addrSpec.reg]) + addrSpec.offset;
+      if (addrSpec.index !== undefined) addr += Number(this.regs[addrSpec.index]);
+    }
+    else if (addrSpec.mode === 'fp') addr = this.fp + addrSpec.offset;
+    else addr = addrSpec.addr;
     const m = this.memory.length;
     // Keep behavior close to the PDF's JS: clamp into memory range.
     // (The PDF uses JS arrays; out-of-range would yield undefined; we guard.)
@@ -180,14 +327,58 @@ class PL0CPU {
     return a;
   }
 
+  // Runtime errors are rethrown as a PL0RuntimeError holding the machine
+  // state at the failing instruction (see formatRuntimeError).
   execute(maxSteps = 1_000_000) {
+    try {
+      this._run(maxSteps);
+    } catch (err) {
+      throw err instanceof PL0RuntimeError ? err : new PL0RuntimeError(err, this);
+    }
+  }
+
+  // Innermost frame first: the current instruction, then the call site of
+  // every CALL/PL0CALL on callStack. Each frame is
+  // { program, routine, pointer, instruction, location }; `routine` is the
+  // procedure a CALL entered, `location` the source map entry (or null).
+  backtrace() {
+    const frame = (program, instructions, pointer) => ({
+      program,
+      routine: null,
+      pointer,
+      instruction: (instructions[pointer] ?? '').trim(),
+      location: program === null ? null : (PL0SourceMaps[program]?.entries[pointer] ?? null),
+    });
+    const frames = [frame(this.program, this.instructions, this.pointer)];
+    let { program, instructions } = this;
+    for (let i = this.callStack.length - 1; i >= 0; i--) {
+      const top = this.callStack[i];
+      if (typeof top === 'number') {
+        frames.push(frame(program, instructions, top - 1));
+      } else {
+        ({ program, instructions } = top);
+        frames.push(frame(program, instructions, top.returnPointer - 1));
+      }
+    }
+    for (let i = 0; i + 1 < frames.length; i++) {
+      const call = /^CALL\s+(\S+)/.exec(frames[i + 1].instruction);
+      if (call) frames[i].routine = call[1].replace(/^proc_(.+)_\d+$/, '$1');
+    }
+    return frames;
+  }
+
+  _run(maxSteps) {
     this.buildLabelMap();
     this.pointer = 0;
     this.running = true;
+    this.sp = this.memory.length;
+    this.fp = this.memory.length;
+    this.program = null;
 
-    let steps = 0;
+    this.steps = 0;
+    let traced = null;
     while (this.running && this.pointer < this.instructions.length) {
-      if (steps++ > maxSteps) throw new Error(`Execution aborted: exceeded maxSteps=${maxSteps}`);
+      if (this.steps++ > maxSteps) throw new Error(`Execution aborted: exceeded maxSteps=${maxSteps}`);
 
       let line = this.instructions[this.pointer].trim();
       if (!line) {
@@ -198,6 +389,11 @@ class PL0CPU {
         this.pointer++;
         continue;
       }
+      if (this.trace && this.program !== null) {
+        const at = PL0SourceMaps[this.program]?.entries[this.pointer] ?? null;
+        if (at && at !== traced) this.trace({ program: this.program, index: this.pointer, at });
+        traced = at;
+      }
 
       // Split op + args. This is intentionally simple; the compiler emits tokens we expect.
       const parts = line.split(/\s+/);
@@ -210,12 +406,13 @@ class PL0CPU {
           let [regTok, valTok] = args;
           const rX = this._parseReg(regTok);
           if (valTok.startsWith('#')) {
-            const imm = parseInt(valTok.slice(1), 10);
-            this.regs[rX] = imm;
+            const raw = valTok.slice(1);
+            const imm = this.word === null ? parseInt(raw, 10) : bigToNum(BigInt(raw));
+            this.regs[rX] = this._fit(imm, 'LOAD');
           } else {
             const addrSpec = this._parseAddrBracket(valTok);
             const a = this._loadAddr(addrSpec);
-            this.regs[rX] = this.memory[a] ?? 0;
+            this.regs[rX] = this._fit(this.memory[a] ?? 0, 'LOAD');
           }
           this.pointer++;
           break;
@@ -226,7 +423,7 @@ class PL0CPU {
           const rX = this._parseReg(regTok);
           const addrSpec = this._parseAddrBracket(addrTok);
           const a = this._loadAddr(addrSpec);
-          this.memory[a] = this.regs[rX];
+          this.memory[a] = this._fit(this.regs[rX], 'STORE');
           this.pointer++;
           break;
         }
@@ -236,7 +433,7 @@ class PL0CPU {
           const rX = this._parseReg(regTok);
           const addrSpec = this._parseAddrBracket(addrTok);
           const a = this._loadAddr(addrSpec);
-          this.regs[rX] = this.memory[a] ?? 0;
+          this.regs[rX] = this._fit(this.memory[a] ?? 0, 'LOAD');
           this.pointer++;
           break;
         }
@@ -246,7 +443,56 @@ class PL0CPU {
           const rX = this._parseReg(regTok);
           const addrSpec = this._parseAddrBracket(addrTok);
           const a = this._loadAddr(addrSpec);
-          this.memory[a] = this.regs[rX];
+          this.memory[a] = this._fit(this.regs[rX], 'STORE');
+          this.pointer++;
+          break;
+        }
+        case 'MOV': {
+          // MOV rX, rY => rX = rY
+          let [rxTok, ryTok] = args;
+          const rX = this._parseReg(rxTok);
+          const rY = this._parseReg(ryTok);
+          this.regs[rX] = this.regs[rY];
+          this.pointer++;
+          break;
+        }
+        case 'LEA': {
+          // LEA rX, [addr] => rX = effective address (no memory access)
+          let [regTok, addrTok] = args;
+          const rX = this._parseReg(regTok);
+          this.regs[rX] = this._loadAddr(this._parseAddrBracket(addrTok));
+          this.pointer++;
+          break;
+        }
+        case 'BOUND': {
+          // BOUND rX, #n => trap unless 0 <= rX < n (array index check)
+          let [regTok, limTok] = args;
+          const rX = this._parseReg(regTok);
+          const n = parseInt(limTok.replace(/^#/, ''), 10);
+          const v = this.regs[rX];
+          if (v < 0 || v >= n) throw new Error(`Array index out of bounds: ${v} not in 0..${n - 1}`);
+          this.pointer++;
+          break;
+        }
+        case 'ENTER': {
+          // ENTER n: push fp onto the frame stack, fp = sp, reserve n zeroed slots.
+          // The frame's slots are then [fp-1] .. [fp-n].
+          const n = parseInt(args[0], 10);
+          if (this.sp - 1 - n < this.stackLimit) throw new Error('Frame stack overflow');
+          this.sp--;
+          this.memory[this.sp] = this.fp;
+          this.fp = this.sp;
+          this.sp -= n;
+          this.memory.fill(0, this.sp, this.fp);
+          this.pointer++;
+          break;
+        }
+        case 'LEAVE': {
+          // LEAVE: drop the current frame and restore the caller's fp.
+          if (this.fp >= this.memory.length) throw new Error('Frame stack underflow');
+          this.sp = this.fp;
+          this.fp = this.memory[this.sp];
+          this.sp++;
           this.pointer++;
           break;
         }
@@ -270,130 +516,56 @@ class PL0CPU {
           this.pointer++;
           break;
         }
-        case 'ADD': {
-          // ADD rX, rY => rX = rX + rY
-          let [rxTok, ryTok] = args;
-          const rX = this._parseReg(rxTok);
-          const rY = this._parseReg(ryTok);
-          if (this.neuralALU) {
-            if (typeof this.neuralALU.computeDetailed === 'function') {
-              const d = this.neuralALU.computeDetailed('ADD', this.regs[rX], this.regs[rY]);
-              this.regs[rX] = d.result;
-              if (this.trackNeuralStats) {
-                this.neuralStats.ops.ADD++;
-                this.neuralStats.absErrorSum.ADD += Math.abs(d.pred - d.exact);
-                if (d.usedFallback) this.neuralStats.fallbacks.ADD++;
-              }
-            } else {
-              this.regs[rX] = this.neuralALU.compute('ADD', this.regs[rX], this.regs[rY]);
-              if (this.trackNeuralStats) this.neuralStats.ops.ADD++;
-            }
-          } else {
-            this.regs[rX] = this.regs[rX] + this.regs[rY];
-          }
-          this.pointer++;
-          break;
-        }
-        case 'SUB': {
-          let [rxTok, ryTok] = args;
-          const rX = this._parseReg(rxTok);
-          const rY = this._parseReg(ryTok);
-          if (this.neuralALU) {
-            if (typeof this.neuralALU.computeDetailed === 'function') {
-              const d = this.neuralALU.computeDetailed('SUB', this.regs[rX], this.regs[rY]);
-              this.regs[rX] = d.result;
-              if (this.trackNeuralStats) {
-                this.neuralStats.ops.SUB++;
-                this.neuralStats.absErrorSum.SUB += Math.abs(d.pred - d.exact);
-                if (d.usedFallback) this.neuralStats.fallbacks.SUB++;
-              }
-            } else {
-              this.regs[rX] = this.neuralALU.compute('SUB', this.regs[rX], this.regs[rY]);
-              if (this.trackNeuralStats) this.neuralStats.ops.SUB++;
-            }
-          } else {
-            this.regs[rX] = this.regs[rX] - this.regs[rY];
-          }
-          this.pointer++;
-          break;
-        }
-        case 'MUL': {
-          let [rxTok, ryTok] = args;
-          const rX = this._parseReg(rxTok);
-          const rY = this._parseReg(ryTok);
-          if (this.neuralALU) {
-            if (typeof this.neuralALU.computeDetailed === 'function') {
-              const d = this.neuralALU.computeDetailed('MUL', this.regs[rX], this.regs[rY]);
-              this.regs[rX] = d.result;
-              if (this.trackNeuralStats) {
-                this.neuralStats.ops.MUL++;
-                this.neuralStats.absErrorSum.MUL += Math.abs(d.pred - d.exact);
-                if (d.usedFallback) this.neuralStats.fallbacks.MUL++;
-              }
-            } else {
-              this.regs[rX] = this.neuralALU.compute('MUL', this.regs[rX], this.regs[rY]);
-              if (this.trackNeuralStats) this.neuralStats.ops.MUL++;
-            }
-          } else {
-            this.regs[rX] = this.regs[rX] * this.regs[rY];
-          }
+        case 'ADD':
+        case 'SUB':
+        case 'MUL':
+        case 'DIV':
+        case 'FMUL':
+        case 'FDIV': {
+          // OP rX, rY => rX = rX op rY (DIV floors)
+          // FMUL rX, rY => rX = rX * rY / fxScale; FDIV rX, rY => rX = rX * fxScale / rY,
+          // rounded per fxRound
+          this._execALU(op, args);
           this.pointer++;
           break;
         }
-        case 'DIV': {
+
+        // --- Comparisons and parity (extension) ---
+        // Always deterministic: they only feed control flow.
+        //   SEQ/SNE/SLT/SLE/SGT/SGE rX, rY => rX = (rX op rY) ? 1 : 0
+        //   ODD rX                        => rX = rX is odd ? 1 : 0
+        case 'SEQ':
+        case 'SNE':
+        case 'SLT':
+        case 'SLE':
+        case 'SGT':
+        case 'SGE': {
           let [rxTok, ryTok] = args;
           const rX = this._parseReg(rxTok);
           const rY = this._parseReg(ryTok);
-          if (this.regs[rY] === 0) throw new Error('Division by zero');
-          if (this.neuralALU) {
-            if (typeof this.neuralALU.computeDetailed === 'function') {
-              const d = this.neuralALU.computeDetailed('DIV', this.regs[rX], this.regs[rY]);
-              this.regs[rX] = d.result;
-              if (this.trackNeuralStats) {
-                this.neuralStats.ops.DIV++;
-                this.neuralStats.absErrorSum.DIV += Math.abs(d.pred - d.exact);
-                if (d.usedFallback) this.neuralStats.fallbacks.DIV++;
-              }
-            } else {
-              this.regs[rX] = this.neuralALU.compute('DIV', this.regs[rX], this.regs[rY]);
-              if (this.trackNeuralStats) this.neuralStats.ops.DIV++;
-            }
-          } else {
-            this.regs[rX] = Math.floor(this.regs[rX] / this.regs[rY]);
+          const a = this.regs[rX];
+          const b = this.regs[rY];
+          let t;
+          switch (op) {
+            case 'SEQ': t = a === b; break;
+            case 'SNE': t = a !== b; break;
+            case 'SLT': t = a < b; break;
+            case 'SLE': t = a <= b; break;
+            case 'SGT': t = a > b; break;
+            default: t = a >= b; break;
           }
+          this.regs[rX] = t ? 1 : 0;
           this.pointer++;
           break;
         }
-
-        // --- Neural/NARX unary math ops (optional extensions) ---
-        // These are not part of the original PDF instruction set, but let the
-        // PL/0 compiler emit "intrinsics" that map to neural coprocessor ops.
-        case 'FSIN':
-        case 'FCOS':
-        case 'FTAN':
-        case 'FTANH':
-        case 'FSINH':
-        case 'FCOSH':
-        case 'FLN':
-        case 'FLOG10':
-        case 'FEXP':
-        case 'FSQRT': {
+        case 'ODD': {
           const rX = this._parseReg(args[0]);
-          const opName = op; // already uppercased
-          if (this.neuralMath) {
-            if (typeof this.neuralMath.computeDetailed === 'function') {
-              const d = this.neuralMath.computeDetailed(opName, this.regs[rX]);
-              this.regs[rX] = d.result;
-            } else {
-              this.regs[rX] = this.neuralMath.compute(opName, this.regs[rX]);
-            }
-          } else {
-            // Deterministic fallback
-            this.regs[rX] = refMathFx(opName, this.regs[rX], this.fxScale);
-          }
+          const v = this.regs[rX];
+          this.regs[rX] = (typeof v === 'bigint' ? v % 2n !== 0n : Math.abs(v) % 2 === 1) ? 1 : 0;
           this.pointer++;
           break;
         }
+
         case 'JMP': {
           const label = args[0];
           if (!(label in this.labelMap)) throw new Error(`Unknown label: ${label}`);
@@ -435,8 +607,10 @@ class PL0CPU {
             instructions: this.instructions,
             labelMap: this.labelMap,
             returnPointer: this.pointer + 1,
+            program: this.program,
           });
           // Switch to callee
+          this.program = programName;
           this.instructions = newInstrs;
           this.buildLabelMap();
           this.pointer = 0;
@@ -454,6 +628,7 @@ class PL0CPU {
             this.instructions = top.instructions;
             this.labelMap = top.labelMap;
             this.pointer = top.returnPointer;
+            this.program = top.program;
           }
           break;
         }
@@ -463,6 +638,15 @@ class PL0CPU {
           break;
         }
         default:
+          // --- Fixed-point math ops (extension, see fixed_math.js) ---
+          // These are not part of the original PDF instruction set, but let
+          // the PL/0 compiler emit "intrinsics" that may run on the neural
+          // coprocessor:  OP rX  => rX = op(rX);  OP rX, rY => rX = op(rX, rY)
+          if (MATH_OPS[op]) {
+            this._execMath(op, args);
+            this.pointer++;
+            break;
+          }
           throw new Error(`Unknown instruction '${op}' at line ${this.pointer}: ${line}`);
       }
     }
@@ -474,38 +658,148 @@ class PL0CPU {
 // PL/0 tokenizer + compiler (taken from the PDF listing, with tiny cleanups)
 // -----------------------------------------------------------------------------
 
-function tokenize(input) {
-  // Remove single-line comments (// ...)
-  input = input.replace(/\/\/.*$/gm, '');
-
+// Tokens are { type, value, raw?, line, col } with 1-based line/column of the
+// first character. Types: 'keyword', 'ident', 'number', 'float', 'symbol'.
+//
+// Comments: // to end of line, /* ... */, { ... } and (* ... *) (not nested).
+// Integer literals: decimal, hex (0x1F), binary (0b1010) and character
+// literals ('A', '\n'), all of type 'number'.
+//
+// Options: `line`/`col` give the position of the first character (when the
+// text was cut out of a larger file). Lexical errors throw, unless `onError`
+// is given: it then receives { message, line, col, length } and scanning
+// continues after the offending characters.
+function tokenize(input, options = {}) {
   const tokens = [];
   const keywords = new Set([
-    'program', 'var', 'begin', 'end', 'call', 'if', 'then', 'while', 'do', 'odd',
+    'program', 'const', 'var', 'procedure', 'function', 'begin', 'end', 'call', 'if', 'then', 'else', 'while', 'do', 'odd',
+    'repeat', 'until', 'for', 'to', 'downto', 'case', 'of', 'and', 'or', 'not',
     'push', 'pop', 'peek', 'poke',
   ]);
 
   // Symbols supported by the PDF-style PL/0 subset (+ our extensions).
-  const oneCharSymbols = new Set(['+', '-', '*', '/', '(', ')', ',', ';', '.', '=',]);
+  const oneCharSymbols = new Set(['+', '-', '*', '/', '(', ')', ',', ';', '.', ':', '=', '<', '>', '#', '[', ']']);
   // Two-character symbols:
   //   ':=' assignment
+  //   '<=' '>=' '!=' '<>' relations ('#' is Wirth's not-equal)
+  const twoCharSymbols = new Set(['<=', '>=', '!=', '<>']);
+  // Block comment openers and their closers.
+  const blockComments = [['/*', '*/'], ['(*', '*)'], ['{', '}']];
+  const charEscapes = { n: 10, t: 9, r: 13, 0: 0, '\\': 92, "'": 39 };
   const isAlpha = (c) => /[A-Za-z]/.test(c);
   const isDigit = (c) => /[0-9]/.test(c);
   const isAlnum = (c) => /[A-Za-z0-9_]/.test(c);
 
+  // Line/column bookkeeping: start index of every line.
+  const lineStarts = [0];
+  for (let k = 0; k < input.length; k++) {
+    if (input[k] === '\n') lineStarts.push(k + 1);
+  }
+  const firstLine = options.line || 1;
+  const firstCol = options.col || 1;
+  const locate = (index) => {
+    let lo = 0;
+    let hi = lineStarts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (lineStarts[mid] <= index) lo = mid;
+      else hi = mid - 1;
+    }
+    const col = index - lineStarts[lo] + 1;
+    return { line: lo + firstLine, col: lo === 0 ? col + firstCol - 1 : col };
+  };
+  // Report a lexical error; returns normally only in collecting mode.
+  const fail = (message, index, length = 1) => {
+    const { line, col } = locate(index);
+    if (!options.onError) throw new Error(`${message} at line ${line}, column ${col}`);
+    options.onError({ message, line, col, length });
+  };
+
   let i = 0;
+  const push = (tok, start) => tokens.push({ ...tok, ...locate(start) });
+
+  scan:
   while (i < input.length) {
     const c = input[i];
 
     // whitespace
     if (/\s/.test(c)) { i++; continue; }
 
+    // comments
+    if (c === '/' && input[i + 1] === '/') {
+      while (i < input.length && input[i] !== '\n') i++;
+      continue;
+    }
+    for (const [open, close] of blockComments) {
+      if (input.startsWith(open, i)) {
+        const j = input.indexOf(close, i + open.length);
+        if (j < 0) {
+          fail('Unterminated comment', i, open.length);
+          i = input.length;
+          continue scan;
+        }
+        i = j + close.length;
+        continue scan;
+      }
+    }
+
     // ':='
     if (c === ':' && input[i + 1] === '=') {
-      tokens.push({ type: 'symbol', value: ':=' });
+      push({ type: 'symbol', value: ':=' }, i);
+      i += 2;
+      continue;
+    }
+
+    if (twoCharSymbols.has(input.slice(i, i + 2))) {
+      push({ type: 'symbol', value: input.slice(i, i + 2) }, i);
       i += 2;
       continue;
     }
 
+    // character literal: 'A', '\n', '\''
+    if (c === "'") {
+      let j = i + 1;
+      let value;
+      if (input[j] === '\\') {
+        value = charEscapes[input[j + 1]];
+        j += 2;
+        if (value === undefined) {
+          fail('Bad escape in character literal', i, j - i);
+          value = 0;
+        }
+      } else if (input[j] !== undefined && input[j] !== "'" && input[j] !== '\n') {
+        value = input.codePointAt(j);
+        j += value > 0xffff ? 2 : 1;
+      }
+      if (value === undefined || input[j] !== "'") {
+        fail('Bad character literal', i, j - i);
+        i = j;
+        continue;
+      }
+      j++;
+      push({ type: 'number', value, raw: input.slice(i, j) }, i);
+      i = j;
+      continue;
+    }
+
+    // hex / binary integer literal: 0x1F, 0b1010
+    if (c === '0' && /[xXbB]/.test(input[i + 1] || '')) {
+      const hex = /[xX]/.test(input[i + 1]);
+      const digit = hex ? /[0-9A-Fa-f]/ : /[01]/;
+      let j = i + 2;
+      while (j < input.length && digit.test(input[j])) j++;
+      const digitsEnd = j;
+      while (j < input.length && isAlnum(input[j])) j++; // e.g. 0b102: reject whole
+      const raw = input.slice(i, j);
+      if (digitsEnd === i + 2 || digitsEnd !== j) {
+        fail(`Bad ${hex ? 'hex' : 'binary'} literal '${raw}'`, i, raw.length);
+      }
+      const value = digitsEnd > i + 2 ? parseInt(input.slice(i + 2, digitsEnd), hex ? 16 : 2) : 0;
+      push({ type: 'number', value, raw }, i);
+      i = j;
+      continue;
+    }
+
     // number literal: int | float | scientific (e.g. 1.5, 2e-3)
     if (isDigit(c)) {
       let j = i;
@@ -535,10 +829,10 @@ function tokenize(input) {
       const raw = input.slice(i, j);
       if (isFloat) {
         const value = Number(raw);
-        if (!Number.isFinite(value)) throw new Error(`Bad float literal: ${raw}`);
-        tokens.push({ type: 'float', value, raw });
+        if (!Number.isFinite(value)) fail(`Bad float literal '${raw}'`, i, raw.length);
+        push({ type: 'float', value, raw }, i);
       } else {
-        tokens.push({ type: 'number', value: parseInt(raw, 10), raw });
+        push({ type: 'number', value: parseInt(raw, 10), raw }, i);
       }
       i = j;
       continue;
@@ -550,486 +844,2264 @@ function tokenize(input) {
       while (j < input.length && isAlnum(input[j])) j++;
       const raw = input.slice(i, j);
       const low = raw.toLowerCase();
-      if (keywords.has(low)) tokens.push({ type: 'keyword', value: low });
-      else tokens.push({ type: 'ident', value: raw });
+      if (keywords.has(low)) push({ type: 'keyword', value: low }, i);
+      else push({ type: 'ident', value: raw }, i);
       i = j;
       continue;
     }
 
     // one-char symbol
     if (oneCharSymbols.has(c)) {
-      tokens.push({ type: 'symbol', value: c });
+      push({ type: 'symbol', value: c }, i);
       i++;
       continue;
     }
 
-    throw new Error(`Unknown character '${c}' at index ${i}`);
+    fail(`Unknown character '${c}'`, i);
+    i++;
   }
 
   return tokens;
 }
 
-class PL0Parser {
-  constructor(tokens, options = {}) {
-    this.tokens = tokens;
-    this.pos = 0;
-    this.varTable = new Map();
-    this.nextVarAddr = 0;
-    this.labelCounter = 100;
-    this.tempAddr = 254;
-
-    // Fixed-point scale used for sugar literals (e.g. 1.5, pi)
-    // and helper conversions fx(...)/int(...).
-    this.fxScale = Number.isFinite(options.fxScale) ? options.fxScale : 65536;
+// A failed compile. `diagnostics` lists every problem found, each
+// { severity, message, file, line, col, length, hint }; the message is the
+// formatted report (with source snippets when the source was available).
+class PL0CompileError extends Error {
+  constructor(diagnostics, message) {
+    super(message);
+    this.name = 'PL0CompileError';
+    this.diagnostics = diagnostics;
+  }
+}
 
-    // Built-in real constants (encoded as fixed-point when used as factors)
-    // NOTE: variables with the same name override these.
-    this.consts = {
-      pi: Math.PI,
-      tau: Math.PI * 2,
-      e: Math.E,
-    };
+// A backtrace frame as `program.routine` (`<main>` for the top-level code).
+function frameName(f) {
+  if (f.program === null) return '<main>';
+  return f.routine ? `${f.program}.${f.routine}` : f.program;
+}
 
-    // Unary math intrinsics (extension): ident '(' expr ')'
-    // These compile into extended CPU ops (FSIN/FLN/...)
-    this.intrinsics = {
-      sin: 'FSIN',
-      cos: 'FCOS',
-      tan: 'FTAN',
-      tanh: 'FTANH',
-      sinh: 'FSINH',
-      cosh: 'FCOSH',
-      ln: 'FLN',
-      log: 'FLOG10',
-      log10: 'FLOG10',
-      exp: 'FEXP',
-      sqrt: 'FSQRT',
-    };
+// Thrown by PL0CPU.execute() when an instruction fails. `reason` is the
+// original message; `message` adds the PL/0 statement when the program has a
+// source map. The rest is a snapshot of the machine taken at the failure:
+// `pointer`, `program`, `instruction`, `backtrace` (see PL0CPU.backtrace),
+// `regs`, `sp`, `fp`, `frame` (the frame stack cells, at most 8), `stackTop`
+// (the top 8 data stack values, top last), `stackDepth` and `steps`.
+class PL0RuntimeError extends Error {
+  constructor(cause, cpu) {
+    const backtrace = cpu.backtrace();
+    const where = cpu.program === null ? null : formatSourceLocation(cpu.program, cpu.pointer);
+    super(where ? `${cause.message}\n  in ${frameName(backtrace[0])} at ${where}` : cause.message, { cause });
+    this.name = 'PL0RuntimeError';
+    this.reason = cause.message;
+    this.pointer = cpu.pointer;
+    this.program = cpu.program;
+    this.backtrace = backtrace;
+    this.instruction = this.backtrace[0].instruction;
+    this.sourceLocation = this.backtrace[0].location && { program: cpu.program, index: cpu.pointer, ...this.backtrace[0].location };
+    this.regs = cpu.regs.slice();
+    this.sp = cpu.sp;
+    this.fp = cpu.fp;
+    this.frame = { lo: cpu.sp, cells: cpu.memory.slice(cpu.sp, Math.min(cpu.sp + 8, cpu.memory.length)) };
+    this.stackTop = cpu.dataStack.slice(-8);
+    this.stackDepth = cpu.dataStack.length;
+    this.steps = cpu.steps;
   }
+}
 
-  currentToken() {
-    return this.tokens[this.pos] || { type: 'EOF', value: '' };
+// Thrown inside the parser on a syntax error and caught by the nearest
+// recovery point (statement, declaration, program), which records it.
+class PL0SyntaxAbort extends Error {
+  constructor(diagnostic) {
+    super(diagnostic.message);
+    this.diagnostic = diagnostic;
   }
+}
 
-  eat(expected) {
-    const token = this.currentToken();
-    if (token.value === expected || token.type === expected) {
-      this.pos++;
-      return token;
+// Levenshtein distance, for "did you mean" hints.
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur.push(Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost));
     }
-    throw new Error(`Parse error: expected ${expected}, got ${token.value} at pos=${this.pos}`);
+    prev = cur;
   }
+  return prev[b.length];
+}
 
-  newLabel() {
-    const label = `label_${this.labelCounter}`;
-    this.labelCounter++;
-    return label;
+// Closest candidate to `name` (case-insensitive), or null if none is near.
+function closestName(name, candidates) {
+  // Short names only match up to case; 'k' is not a typo of 'x'.
+  const limit = Math.max(name.length >= 3 ? 1 : 0, Math.floor(name.length / 3));
+  let best = null;
+  let bestDist = Infinity;
+  for (const c of candidates) {
+    if (c === name || c.startsWith('.')) continue;
+    const d = editDistance(name.toLowerCase(), c.toLowerCase());
+    if (d < bestDist) {
+      best = c;
+      bestDist = d;
+    }
   }
+  return bestDist <= limit ? best : null;
+}
 
-  newTemp() {
-    const t = this.tempAddr;
-    this.tempAddr--;
-    return t;
+// The source line of `at` ({ line, col, length }) with the spot underlined,
+// as two lines ([] if `source`, which starts at `line`/`col`, lacks it).
+function sourceSnippet(source, line, col, at) {
+  const lines = source === null ? null : source.split('\n');
+  if (lines) lines[0] = ' '.repeat(col - 1) + lines[0];
+  const text = lines ? lines[at.line - line] : undefined;
+  if (text === undefined) return [];
+  const gutter = String(at.line).padStart(5, ' ');
+  return [
+    `${gutter} | ${text.replace(/\t/g, ' ')}`,
+    `${' '.repeat(gutter.length)} | ${' '.repeat(at.col - 1)}${'^'.repeat(Math.max(1, at.length || 1))}`,
+  ];
+}
+
+// Render diagnostics as `file:line:col: severity: message` plus the source
+// line with the offending token underlined. `source` is the compiled text,
+// starting at `line`/`col` of the file.
+function formatDiagnostics(diagnostics, source = null, line = 1, col = 1) {
+  const out = [];
+  for (const d of diagnostics) {
+    out.push(`${d.file}:${d.line}:${d.col}: ${d.severity}: ${d.message}`);
+    out.push(...sourceSnippet(source, line, col, d));
+    if (d.hint) out.push(`      = ${d.hint}`);
   }
+  const errors = diagnostics.filter((d) => d.severity === 'error').length;
+  const warnings = diagnostics.length - errors;
+  out.push(`${errors} error(s)${warnings ? `, ${warnings} warning(s)` : ''}`);
+  return out.join('\n');
+}
 
-  declareVar(ident) {
-    if (this.varTable.has(ident)) throw new Error(`Variable '${ident}' already declared`);
-    const addr = this.nextVarAddr;
-    this.nextVarAddr++;
-    this.varTable.set(ident, addr);
-    return addr;
+// Diagnostics shared by the compiler passes (PL0Parser, PL0CodeGen). They
+// are pinned on a token or on an AST node's `loc` ({ line, col, length }).
+class PL0Pass {
+  constructor(options = {}) {
+    this.file = options.file || '<input>';
+    this.source = options.source ?? null;
+    this.sourceLine = options.line || 1;
+    this.sourceCol = options.col || 1;
+    this.diagnostics = options.diagnostics ? [...options.diagnostics] : [];
+    // Where the input ends (see addDiagnostic).
+    this.eofLoc = options.eofLoc ?? null;
   }
 
-  getVarAddr(ident) {
-    if (!this.varTable.has(ident)) throw new Error(`Unknown variable '${ident}'`);
-    return this.varTable.get(ident);
+  makeDiagnostic(severity, message, at, hint) {
+    return {
+      severity,
+      message,
+      file: this.file,
+      line: at.line,
+      col: at.col,
+      length: at.length ?? (at.type === 'EOF' ? 1 : String(at.raw ?? at.value).length),
+      hint: hint || null,
+    };
   }
 
-  // program -> "program" ident ";" block "."
-  parseProgram() {
-    this.eat('program');
-    const progNameToken = this.currentToken();
-    this.eat('ident');
-    this.eat(';');
-    const [blockAST, blockCode] = this.parseBlock();
-    this.eat('.');
-    const programAST = { type: 'program', name: progNameToken.value, block: blockAST };
-    return [programAST, blockCode];
+  // One report per spot: repeated messages (and anything after the first
+  // complaint about the end of input) are dropped.
+  addDiagnostic(d) {
+    const eof = this.eofLoc;
+    const atEof = !!eof && d.line === eof.line && d.col === eof.col;
+    const dup = this.diagnostics.some((o) => o.line === d.line && o.col === d.col && (atEof || o.message === d.message));
+    if (!dup) this.diagnostics.push(d);
   }
 
-  // block -> varDecl? statement
-  parseBlock() {
-    let varDecls = [];
-    let codeVars = [];
-    if (this.currentToken().value === 'var') {
-      [varDecls, codeVars] = this.parseVarDecl();
-    }
-    const [stmtAST, stmtCode] = this.parseStatement();
-    const blockAST = { type: 'block', varDecls, statement: stmtAST };
-    const blockCode = codeVars.concat(stmtCode);
-    return [blockAST, blockCode];
+  // Record an error and keep going.
+  report(message, at, hint = null) {
+    this.addDiagnostic(this.makeDiagnostic('error', message, at, hint));
   }
 
-  // varDecl -> "var" ident {"," ident} ";"
-  parseVarDecl() {
-    this.eat('var');
-    const decls = [];
-    while (true) {
-      const idToken = this.currentToken();
-      this.eat('ident');
-      const addr = this.declareVar(idToken.value);
-      decls.push({ type: 'varDecl', ident: idToken.value, addr });
-      if (this.currentToken().value === ',') {
-        this.eat(',');
-      } else {
-        break;
-      }
-    }
-    this.eat(';');
-    return [decls, []];
+  // Record a warning; warnings never fail the compile.
+  warn(message, at, hint = null) {
+    this.addDiagnostic(this.makeDiagnostic('warning', message, at, hint));
   }
 
-  // statement -> assignment | callStmt | ifStmt | whileStmt | compoundStmt | pushStmt | popStmt |
-  //              peekStmt | pokeStmt | (empty)
-  parseStatement() {
-    const tk = this.currentToken();
-    if (tk.value === 'call') return this.parseCallStatement();
-    if (tk.value === 'if') return this.parseIfStatement();
-    if (tk.value === 'while') return this.parseWhileStatement();
-    if (tk.value === 'begin') return this.parseCompoundStatement();
-    if (tk.value === 'push') return this.parsePushStatement();
-    if (tk.value === 'pop') return this.parsePopStatement();
-    if (tk.value === 'peek') return this.parsePeekStatement();
-    if (tk.value === 'poke') return this.parsePokeStatement();
-    if (tk.type === 'ident') return this.parseAssignment();
-    return [{ type: 'noop' }, []];
+  // "did you mean" hint for an unknown name among `candidates`.
+  suggest(name, candidates) {
+    const near = closestName(name, candidates);
+    return near ? `did you mean '${near}'?` : null;
   }
 
-  // callStmt -> "call" ident ";"
-  parseCallStatement() {
-    this.eat('call');
-    const idToken = this.currentToken();
-    this.eat('ident');
-    this.eat(';');
-    const ast = { type: 'call', ident: idToken.value };
-    const code = [`PL0CALL ${idToken.value}`];
-    return [ast, code];
+  // Sort the diagnostics and throw a PL0CompileError listing them all if
+  // any is an error.
+  throwIfErrors() {
+    this.diagnostics.sort((a, b) => a.line - b.line || a.col - b.col);
+    if (this.diagnostics.some((d) => d.severity === 'error')) {
+      throw new PL0CompileError(
+        this.diagnostics,
+        formatDiagnostics(this.diagnostics, this.source, this.sourceLine, this.sourceCol),
+      );
+    }
   }
+}
 
-  // assignment -> ident ":=" expression ";"
-  parseAssignment() {
-    const idToken = this.currentToken();
-    this.eat('ident');
-    this.eat(':=');
-    const [exprAST, exprCode] = this.parseExpression();
-    this.eat(';');
-    const addr = this.getVarAddr(idToken.value);
-    const code = [...exprCode, `STORE r0, [${addr}]`];
-    const ast = { type: 'assign', ident: idToken.value, expr: exprAST };
-    return [ast, code];
+// Recursive-descent parser: tokens -> AST. It checks the syntax only (plus
+// the spelling of type names); names, types, storage and code are the
+// business of PL0CodeGen.
+//
+// Every node has a `type` and a `loc` ({ line, col, length } of its key
+// token: the name for declarations and for statements naming a variable or
+// procedure, otherwise the first token). Binary operators also carry
+// `opLoc`, the operator token.
+//   program    { name, block }
+//   block      { constDecls, varDecls, procDecls, statement }
+//   constDecl  { ident, value: constValue }
+//   constValue { sign, kind: 'number' | 'float' | 'ident', value, raw? }
+//   varDecl    { ident, dims: [constValue] | null, valueType }
+//   procedure, function { name, params: [{ name, valueType, loc }], resultType, block }
+// Statements:
+//   assign { ident, indices?, expr }    call { ident, args }
+//   if { condition, thenPart, elsePart? }    while { condition, body }
+//   repeat { body: [statement], condition }  for { ident, from, to, down, body }
+//   case { expr, arms: [{ labels: [constValue], statement }], elsePart }
+//   compound { statements }    push, pop { ident, indices? }
+//   peek { dest, addr }    poke { addr, val }    (operands are name nodes)
+//   noop
+// Expressions:
+//   num { kind: 'int' | 'float', value, raw? }    name { name }
+//   index { name, indices }    callExpr { name, args }  (function or intrinsic)
+//   binop, relation { op, left, right }    and, or { left, right }
+//   not, odd, neg { expr }
+//
+// Syntax errors abort to the nearest recovery point (statement,
+// declaration, program), are recorded there and parsing goes on; the
+// parser never throws, callers check `diagnostics`.
+class PL0Parser extends PL0Pass {
+  constructor(tokens, options = {}) {
+    super(options);
+    this.tokens = tokens;
+    this.pos = 0;
+    const last = tokens[tokens.length - 1];
+    this.eofToken = {
+      type: 'EOF',
+      value: '',
+      line: last ? last.line : this.sourceLine,
+      col: last ? last.col + String(last.raw ?? last.value).length : this.sourceCol,
+    };
+    this.eofLoc = this.eofToken;
   }
 
-  // pushStmt -> "push" ident ";"
-  parsePushStatement() {
-    this.eat('push');
-    const idToken = this.currentToken();
-    this.eat('ident');
-    this.eat(';');
-    const addr = this.getVarAddr(idToken.value);
-    const code = [`LOAD r0, [${addr}]`, 'PUSH r0'];
-    const ast = { type: 'push', ident: idToken.value };
-    return [ast, code];
+  currentToken() {
+    return this.tokens[this.pos] || this.eofToken;
   }
 
-  // popStmt -> "pop" ident ";"
-  parsePopStatement() {
-    this.eat('pop');
-    const idToken = this.currentToken();
-    this.eat('ident');
-    this.eat(';');
-    const addr = this.getVarAddr(idToken.value);
-    const code = ['POP r0', `STORE r0, [${addr}]`];
-    const ast = { type: 'pop', ident: idToken.value };
-    return [ast, code];
+  // The token consumed last.
+  previousToken() {
+    return this.tokens[this.pos - 1] || this.eofToken;
   }
 
-  // peekStmt -> "peek" "(" ident "," ident ")" ";"
-  parsePeekStatement() {
-    this.eat('peek');
-    this.eat('(');
-    const destToken = this.currentToken();
-    this.eat('ident');
-    this.eat(',');
-    const addrToken = this.currentToken();
-    this.eat('ident');
-    this.eat(')');
-    this.eat(';');
-    const destAddr = this.getVarAddr(destToken.value);
-    const addrVarAddr = this.getVarAddr(addrToken.value);
-    const code = [
-      `LOAD r0, [${addrVarAddr}]`,
-      'PEEK r1, [r0]',
-      `STORE r1, [${destAddr}]`,
-    ];
-    const ast = { type: 'peek', dest: destToken.value, addr: addrToken.value };
-    return [ast, code];
+  // A token as quoted in error messages.
+  describe(token) {
+    return token.type === 'EOF' ? 'end of input' : `'${token.raw ?? token.value}'`;
   }
 
-  // pokeStmt -> "poke" "(" ident "," ident ")" ";"
-  parsePokeStatement() {
-    this.eat('poke');
-    this.eat('(');
-    const addrToken = this.currentToken();
-    this.eat('ident');
-    this.eat(',');
-    const valToken = this.currentToken();
-    this.eat('ident');
-    this.eat(')');
-    this.eat(';');
-    const addrVarAddr = this.getVarAddr(addrToken.value);
-    const valAddr = this.getVarAddr(valToken.value);
-    const code = [
-      `LOAD r0, [${addrVarAddr}]`,
-      `LOAD r1, [${valAddr}]`,
-      'POKE r1, [r0]',
-    ];
-    const ast = { type: 'poke', addr: addrToken.value, val: valToken.value };
-    return [ast, code];
+  // Location of `token`, as stored in AST nodes.
+  loc(token) {
+    return { line: token.line, col: token.col, length: token.type === 'EOF' ? 1 : String(token.raw ?? token.value).length };
   }
 
-  // ifStmt -> "if" expression "then" statement
-  parseIfStatement() {
-    this.eat('if');
-    const [condAST, condCode] = this.parseExpression();
-    this.eat('then');
-    const [thenAST, thenCode] = this.parseStatement();
-    const skipLabel = this.newLabel();
-    const code = [...condCode, `JZ r0, ${skipLabel}`, ...thenCode, `${skipLabel}:`];
-    const ast = { type: 'if', condition: condAST, thenPart: thenAST };
-    return [ast, code];
+  // Build a syntax error to throw; see recordError().
+  syntaxError(message, token = this.currentToken(), hint = null) {
+    return new PL0SyntaxAbort(this.makeDiagnostic('error', message, token, hint));
   }
 
-  // whileStmt -> "while" expression "do" statement
-  parseWhileStatement() {
-    this.eat('while');
-    const startLabel = this.newLabel();
-    const exitLabel = this.newLabel();
-    const loopStart = `${startLabel}:`;
-    const [condAST, condCode] = this.parseExpression();
-    this.eat('do');
-    const [bodyAST, bodyCode] = this.parseStatement();
-    const code = [
-      loopStart,
-      ...condCode,
-      `JZ r0, ${exitLabel}`,
-      ...bodyCode,
-      `JMP ${startLabel}`,
-      `${exitLabel}:`,
-    ];
-    const ast = { type: 'while', condition: condAST, body: bodyAST };
-    return [ast, code];
+  // Record an error caught at a recovery point. Anything that is not a
+  // PL0SyntaxAbort is a plain Error from a helper: it is pinned on the
+  // current token.
+  recordError(err) {
+    if (err instanceof PL0SyntaxAbort) this.addDiagnostic(err.diagnostic);
+    else this.addDiagnostic(this.makeDiagnostic('error', err.message, this.currentToken()));
   }
 
-  // compoundStmt -> "begin" statement { ";" statement } "end"
-  parseCompoundStatement() {
-    this.eat('begin');
-    const stmts = [];
-    const codeAll = [];
-    while (this.currentToken().value !== 'end') {
-      const [stmtAST, stmtCode] = this.parseStatement();
-      stmts.push(stmtAST);
-      codeAll.push(...stmtCode);
-      if (this.currentToken().value === ';') this.eat(';');
+  // Panic-mode recovery: skip tokens up to and including the next ';' (plus a
+  // dangling `else` branch), or up to a token in `stops` that an enclosing
+  // construct can continue from.
+  synchronize(stops) {
+    while (this.currentToken().type !== 'EOF') {
+      const v = this.currentToken().value;
+      if (stops.includes(v)) return;
+      this.pos++;
+      if (v === ';' && this.currentToken().value !== 'else') return;
     }
-    this.eat('end');
-    const ast = { type: 'compound', statements: stmts };
-    return [ast, codeAll];
+  }
+
+  eat(expected) {
+    const token = this.currentToken();
+    if (token.value === expected || token.type === expected) {
+      this.pos++;
+      return token;
+    }
+    const what = expected === 'ident' ? 'identifier' : `'${expected}'`;
+    // A ';' missing at the end of a line is reported there and taken as
+    // present, so the next line is still checked.
+    const prev = this.previousToken();
+    if (expected === ';' && this.pos > 0 && token.line > prev.line) {
+      const end = { ...prev, col: prev.col + String(prev.raw ?? prev.value).length, value: ' ', raw: ' ' };
+      this.report(`expected ';' but found ${this.describe(token)}`, end);
+      return { type: 'symbol', value: ';', line: end.line, col: end.col };
+    }
+    throw this.syntaxError(`expected ${what} but found ${this.describe(token)}`);
+  }
+
+  noop(token) {
+    return { type: 'noop', loc: this.loc(token) };
+  }
+
+  // Lookahead over the `[...]` groups starting at token `p`: how many there
+  // are and the position just after them.
+  scanSubscripts(p = this.pos) {
+    let count = 0;
+    while (this.tokens[p] && this.tokens[p].value === '[') {
+      let depth = 0;
+      do {
+        const v = this.tokens[p] ? this.tokens[p].value : ']';
+        if (v === '[') depth++;
+        if (v === ']') depth--;
+        p++;
+      } while (depth > 0 && p <= this.tokens.length);
+      count++;
+    }
+    return { count, end: p };
+  }
+
+  // subscripts -> "[" expression "]" {"[" expression "]"}
+  parseSubscripts() {
+    const indices = [];
+    while (this.currentToken().value === '[') {
+      this.eat('[');
+      indices.push(this.parseExpression());
+      this.eat(']');
+    }
+    return indices;
+  }
+
+  // program -> "program" ident ";" block "."
+  parseProgram() {
+    const progNameToken = this.tokens[this.pos + 1] || this.eofToken;
+    let block = null;
+    try {
+      this.eat('program');
+      this.eat('ident');
+      this.eat(';');
+    } catch (err) {
+      this.recordError(err);
+      this.synchronize(['const', 'var', 'procedure', 'function', 'begin']);
+    }
+    try {
+      block = this.parseBlock();
+      this.eat('.');
+    } catch (err) {
+      this.recordError(err);
+    }
+    if (!block) {
+      const here = this.loc(this.currentToken());
+      block = { type: 'block', constDecls: [], varDecls: [], procDecls: [], statement: { type: 'noop', loc: here }, loc: here };
+    }
+    return { type: 'program', name: progNameToken.value, block, loc: this.loc(progNameToken) };
+  }
+
+  // block -> constDecl? varDecl? procDecl* statement
+  parseBlock() {
+    const startToken = this.currentToken();
+    let constDecls = [];
+    let varDecls = [];
+    if (this.currentToken().value === 'const') {
+      constDecls = this.parseConstDecl();
+    }
+    if (this.currentToken().value === 'var') {
+      varDecls = this.parseVarDecl();
+    }
+    const procDecls = [];
+    const isProc = () => this.currentToken().value === 'procedure' || this.currentToken().value === 'function';
+    while (isProc()) {
+      try {
+        procDecls.push(this.parseProcDecl());
+      } catch (err) {
+        this.recordError(err);
+        this.synchronize(['procedure', 'function', 'begin']);
+      }
+    }
+    let statement = this.noop(this.currentToken());
+    try {
+      statement = this.parseStatement();
+    } catch (err) {
+      this.recordError(err);
+      this.synchronize(['.']);
+    }
+    return { type: 'block', constDecls, varDecls, procDecls, statement, loc: this.loc(startToken) };
+  }
+
+  // procDecl -> ("procedure" | "function") ident [params] [":" type] ";" block ";"
+  // params   -> "(" [ident [":" type] {("," | ";") ident [":" type]}] ")"
+  //
+  // A type applies to the untyped names just before it: (a, b: fixed).
+  parseProcDecl() {
+    const isFunction = this.currentToken().value === 'function';
+    this.eat(isFunction ? 'function' : 'procedure');
+    const idToken = this.currentToken();
+    const params = [];
+    let resultType = null;
+    // A broken header is reported and skipped; the body is still parsed.
+    try {
+      this.eat('ident');
+      if (this.currentToken().value === '(') {
+        this.eat('(');
+        if (this.currentToken().value !== ')') {
+          let untyped = 0;
+          while (true) {
+            const p = this.eat('ident');
+            params.push({ name: p.value, valueType: null, loc: this.loc(p) });
+            untyped++;
+            if (this.currentToken().value === ':') {
+              this.eat(':');
+              const valueType = this.parseType();
+              params.slice(params.length - untyped).forEach((q) => { q.valueType = valueType; });
+              untyped = 0;
+            }
+            if (this.currentToken().value !== ',' && this.currentToken().value !== ';') break;
+            this.eat(this.currentToken().value);
+          }
+        }
+        this.eat(')');
+      }
+      if (this.currentToken().value === ':') {
+        if (!isFunction) this.report(`Procedure '${idToken.value}' cannot have a result type`, this.currentToken());
+        this.eat(':');
+        resultType = this.parseType();
+      }
+      this.eat(';');
+    } catch (err) {
+      this.recordError(err);
+      this.synchronize(['const', 'var', 'procedure', 'function', 'begin']);
+    }
+    const name = idToken.type === 'ident' ? idToken.value : '.error';
+    const block = this.parseBlock();
+    const node = {
+      type: isFunction ? 'function' : 'procedure', name, params, resultType, block, loc: this.loc(idToken),
+    };
+    try {
+      this.eat(';');
+    } catch (err) {
+      this.recordError(err);
+      this.synchronize(['procedure', 'function', 'begin']);
+    }
+    return node;
+  }
+
+  // type -> "integer" | "fixed"
+  //
+  // Returns the type name, or null (reported) for anything else.
+  parseType() {
+    const typeToken = this.eat('ident');
+    const type = String(typeToken.value).toLowerCase();
+    if (type === 'integer' || type === 'fixed') return type;
+    this.report(`Unknown type '${typeToken.value}' (expected integer or fixed)`, typeToken,
+      this.suggest(typeToken.value, ['integer', 'fixed']));
+    return null;
+  }
+
+  // args -> "(" [expression {"," expression}] ")"
+  parseArguments() {
+    const args = [];
+    if (this.currentToken().value !== '(') return args;
+    this.eat('(');
+    while (this.currentToken().value !== ')') {
+      args.push(this.parseExpression());
+      if (this.currentToken().value !== ',') break;
+      this.eat(',');
+      if (this.currentToken().value === ')') throw this.syntaxError(`expected an expression but found ')'`);
+    }
+    this.eat(')');
+    return args;
+  }
+
+  // constDecl -> "const" ident "=" constValue {"," ident "=" constValue} ";"
+  parseConstDecl() {
+    this.eat('const');
+    const decls = [];
+    try {
+      while (true) {
+        const idToken = this.currentToken();
+        this.eat('ident');
+        this.eat('=');
+        const value = this.parseConstValue();
+        decls.push({ type: 'constDecl', ident: idToken.value, value, loc: this.loc(idToken) });
+        if (this.currentToken().value === ',') {
+          this.eat(',');
+        } else {
+          break;
+        }
+      }
+      this.eat(';');
+    } catch (err) {
+      this.recordError(err);
+      this.synchronize(['var', 'procedure', 'function', 'begin']);
+    }
+    return decls;
+  }
+
+  // constValue -> ["+"|"-"] (number | float | ident)
+  parseConstValue() {
+    let sign = 1;
+    if (this.currentToken().value === '+' || this.currentToken().value === '-') {
+      if (this.currentToken().value === '-') sign = -1;
+      this.eat(this.currentToken().value);
+    }
+    const tk = this.currentToken();
+    if (tk.type === 'number' || tk.type === 'float' || tk.type === 'ident') {
+      this.eat(tk.type);
+      const node = { type: 'constValue', sign, kind: tk.type, value: tk.value, loc: this.loc(tk) };
+      if (tk.raw !== undefined) node.raw = tk.raw;
+      return node;
+    }
+    throw this.syntaxError(`expected constant value but found ${this.describe(tk)}`, tk);
+  }
+
+  // varDecl  -> "var" varGroup ";" {varGroup ";"}
+  // varGroup -> varItem {"," varItem} [":" type]
+  // varItem  -> ident {"[" constValue "]"}
+  //
+  // A type applies to every item of its group (`var r, a: fixed;`).
+  parseVarDecl() {
+    this.eat('var');
+    const decls = [];
+    do {
+      try {
+        const group = [];
+        while (true) {
+          const idToken = this.currentToken();
+          this.eat('ident');
+          let dims = null;
+          while (this.currentToken().value === '[') {
+            this.eat('[');
+            (dims = dims || []).push(this.parseConstValue());
+            this.eat(']');
+          }
+          const decl = { type: 'varDecl', ident: idToken.value, dims, valueType: null, loc: this.loc(idToken) };
+          decls.push(decl);
+          group.push(decl);
+          if (this.currentToken().value === ',') {
+            this.eat(',');
+          } else {
+            break;
+          }
+        }
+        if (this.currentToken().value === ':') {
+          this.eat(':');
+          const valueType = this.parseType();
+          for (const decl of group) decl.valueType = valueType;
+        }
+        this.eat(';');
+      } catch (err) {
+        this.recordError(err);
+        this.synchronize(['procedure', 'function', 'begin']);
+      }
+    } while (this.startsVarGroup());
+    return decls;
+  }
+
+  // After a var group: does another one follow? The block's statement can
+  // also start with an identifier, but never with `x,`, `x:`, `x;` or `x[..],`.
+  startsVarGroup() {
+    if (this.currentToken().type !== 'ident') return false;
+    const next = this.tokens[this.scanSubscripts(this.pos + 1).end];
+    return !!next && (next.value === ',' || next.value === ':' || next.value === ';');
+  }
+
+  // statement -> assignment | callStmt | ifStmt | whileStmt | repeatStmt | forStmt | caseStmt |
+  //              compoundStmt | pushStmt | popStmt | peekStmt | pokeStmt | (empty)
+  parseStatement() {
+    const tk = this.currentToken();
+    if (tk.value === 'call') return this.parseCallStatement();
+    if (tk.value === 'if') return this.parseIfStatement();
+    if (tk.value === 'while') return this.parseWhileStatement();
+    if (tk.value === 'repeat') return this.parseRepeatStatement();
+    if (tk.value === 'for') return this.parseForStatement();
+    if (tk.value === 'case') return this.parseCaseStatement();
+    if (tk.value === 'begin') return this.parseCompoundStatement();
+    if (tk.value === 'push' || tk.value === 'pop') return this.parseStackStatement();
+    if (tk.value === 'peek' || tk.value === 'poke') return this.parseMemoryStatement();
+    if (tk.type === 'ident') return this.parseAssignment();
+    return this.noop(tk);
+  }
+
+  // callStmt -> "call" ident [args] ";"
+  parseCallStatement() {
+    this.eat('call');
+    const idToken = this.currentToken();
+    this.eat('ident');
+    const args = this.parseArguments();
+    this.eat(';');
+    return { type: 'call', ident: idToken.value, args, loc: this.loc(idToken) };
+  }
+
+  // assignment -> ident [subscripts] ":=" condition ";"   (a plain expression is a condition)
+  parseAssignment() {
+    const idToken = this.currentToken();
+    this.eat('ident');
+    const indices = this.currentToken().value === '[' ? this.parseSubscripts() : null;
+    this.eat(':=');
+    const expr = this.parseCondition();
+    this.eat(';');
+    const node = { type: 'assign', ident: idToken.value, expr, loc: this.loc(idToken) };
+    if (indices) node.indices = indices;
+    return node;
+  }
+
+  // pushStmt -> "push" ident [subscripts] ";"
+  // popStmt  -> "pop" ident [subscripts] ";"
+  parseStackStatement() {
+    const type = this.eat(this.currentToken().value).value;
+    const idToken = this.currentToken();
+    this.eat('ident');
+    const indices = this.currentToken().value === '[' ? this.parseSubscripts() : null;
+    this.eat(';');
+    const node = { type, ident: idToken.value, loc: this.loc(idToken) };
+    if (indices) node.indices = indices;
+    return node;
+  }
+
+  // peekStmt -> "peek" "(" ident "," ident ")" ";"    peek(dest, addr)
+  // pokeStmt -> "poke" "(" ident "," ident ")" ";"    poke(addr, val)
+  parseMemoryStatement() {
+    const startToken = this.eat(this.currentToken().value);
+    this.eat('(');
+    const first = this.eat('ident');
+    this.eat(',');
+    const second = this.eat('ident');
+    this.eat(')');
+    this.eat(';');
+    const a = { type: 'name', name: first.value, loc: this.loc(first) };
+    const b = { type: 'name', name: second.value, loc: this.loc(second) };
+    const loc = this.loc(startToken);
+    return startToken.value === 'peek' ? { type: 'peek', dest: a, addr: b, loc } : { type: 'poke', addr: a, val: b, loc };
+  }
+
+  // Parse statements up to (not including) one of the `terminators`,
+  // accepting optional ';' separators. Used by compound/repeat bodies.
+  //
+  // This is the main recovery point: a statement with a syntax error is
+  // reported, skipped (see synchronize) and parsing goes on with the next.
+  parseStatementList(terminators) {
+    const stmts = [];
+    while (!terminators.includes(this.currentToken().value)) {
+      const before = this.pos;
+      try {
+        stmts.push(this.parseStatement());
+        if (this.currentToken().value === ';') this.eat(';');
+        else if (this.pos === before) this.eat(terminators[0]); // no progress: report it
+      } catch (err) {
+        this.recordError(err);
+        this.synchronize(['end', 'until', '.', ...terminators]);
+        if (this.currentToken().type === 'EOF') break;
+        if (this.pos === before) this.pos++;
+      }
+    }
+    return stmts;
+  }
+
+  // ifStmt -> "if" condition "then" statement [ [";"] "else" statement ]
+  parseIfStatement() {
+    const startToken = this.eat('if');
+    const condition = this.parseCondition();
+    this.eat('then');
+    const thenPart = this.parseStatement();
+    // Simple statements consume their own ';', but allow `... end; else`.
+    const next = this.tokens[this.pos + 1] || { type: 'EOF', value: '' };
+    if (this.currentToken().value === ';' && next.value === 'else') this.eat(';');
+    const node = { type: 'if', condition, thenPart, loc: this.loc(startToken) };
+    if (this.currentToken().value === 'else') {
+      this.eat('else');
+      node.elsePart = this.parseStatement();
+    }
+    return node;
+  }
+
+  // whileStmt -> "while" condition "do" statement
+  parseWhileStatement() {
+    const startToken = this.eat('while');
+    const condition = this.parseCondition();
+    this.eat('do');
+    const body = this.parseStatement();
+    return { type: 'while', condition, body, loc: this.loc(startToken) };
+  }
+
+  // repeatStmt -> "repeat" statement { ";" statement } "until" condition
+  parseRepeatStatement() {
+    const startToken = this.eat('repeat');
+    const body = this.parseStatementList(['until']);
+    this.eat('until');
+    const condition = this.parseCondition();
+    if (this.currentToken().value === ';') this.eat(';');
+    return { type: 'repeat', body, condition, loc: this.loc(startToken) };
+  }
+
+  // forStmt -> "for" ident ":=" expression ("to" | "downto") expression "do" statement
+  parseForStatement() {
+    this.eat('for');
+    const idToken = this.currentToken();
+    this.eat('ident');
+    this.eat(':=');
+    const from = this.parseExpression();
+    const dirToken = this.currentToken().value;
+    if (dirToken !== 'to' && dirToken !== 'downto') this.eat('to');
+    this.eat(dirToken);
+    const to = this.parseExpression();
+    this.eat('do');
+    const body = this.parseStatement();
+    return { type: 'for', ident: idToken.value, from, to, down: dirToken === 'downto', body, loc: this.loc(idToken) };
+  }
+
+  // caseStmt -> "case" expression "of"
+  //               { constValue {"," constValue} ":" statement [";"] }
+  //               [ "else" statement [";"] ]
+  //             "end"
+  parseCaseStatement() {
+    const startToken = this.eat('case');
+    const expr = this.parseExpression();
+    this.eat('of');
+    const arms = [];
+    while (this.currentToken().value !== 'else' && this.currentToken().value !== 'end') {
+      const labels = [];
+      while (true) {
+        labels.push(this.parseConstValue());
+        if (this.currentToken().value !== ',') break;
+        this.eat(',');
+      }
+      this.eat(':');
+      const statement = this.parseStatement();
+      if (this.currentToken().value === ';') this.eat(';');
+      arms.push({ labels, statement });
+    }
+    let elsePart = null;
+    if (this.currentToken().value === 'else') {
+      this.eat('else');
+      elsePart = this.parseStatement();
+      if (this.currentToken().value === ';') this.eat(';');
+    }
+    this.eat('end');
+    return { type: 'case', expr, arms, elsePart, loc: this.loc(startToken) };
+  }
+
+  // compoundStmt -> "begin" statement { ";" statement } "end"
+  parseCompoundStatement() {
+    const startToken = this.eat('begin');
+    const statements = this.parseStatementList(['end']);
+    this.eat('end');
+    return { type: 'compound', statements, loc: this.loc(startToken) };
+  }
+
+  // condition -> andCond { "or" andCond }
+  // andCond   -> notCond { "and" notCond }
+  // notCond   -> "not" notCond | relation
+  //
+  // Precedence (loosest first): or, and, not, relations, + -, * /, unary.
+  parseCondition() {
+    return this.parseLogical('or', () => this.parseLogical('and', () => this.parseNotCondition()));
+  }
+
+  // One left-associative level of `and`/`or`.
+  parseLogical(opWord, parseOperand) {
+    let left = parseOperand();
+    while (this.currentToken().value === opWord) {
+      const opToken = this.eat(opWord);
+      const right = parseOperand();
+      left = { type: opWord, left, right, loc: left.loc, opLoc: this.loc(opToken) };
+    }
+    return left;
+  }
+
+  parseNotCondition() {
+    if (this.currentToken().value !== 'not') return this.parseRelation();
+    const startToken = this.eat('not');
+    return { type: 'not', expr: this.parseNotCondition(), loc: this.loc(startToken) };
+  }
+
+  // relation  -> "odd" expression
+  //            | expression [ relop expression ]
+  // relop     -> "=" | "!=" | "#" | "<>" | "<" | "<=" | ">" | ">="
+  //
+  // A bare expression is kept as a condition for older programs. '#' and
+  // '<>' are stored as '!='.
+  parseRelation() {
+    if (this.currentToken().value === 'odd') {
+      const startToken = this.eat('odd');
+      return { type: 'odd', expr: this.parseExpression(), loc: this.loc(startToken) };
+    }
+    const left = this.parseExpression();
+    const opToken = this.currentToken();
+    const relops = ['=', '!=', '#', '<>', '<', '<=', '>', '>='];
+    if (opToken.type !== 'symbol' || !relops.includes(opToken.value)) return left;
+    this.eat(opToken.value);
+    const right = this.parseExpression();
+    const op = (opToken.value === '#' || opToken.value === '<>') ? '!=' : opToken.value;
+    return { type: 'relation', op, left, right, loc: left.loc, opLoc: this.loc(opToken) };
   }
 
   // expression -> term { (+|-) term }
   parseExpression() {
-    let [leftAST, leftCode] = this.parseTerm();
+    let left = this.parseTerm();
     while (this.currentToken().value === '+' || this.currentToken().value === '-') {
-      const opToken = this.currentToken().value;
-      this.eat(opToken);
-      const [rightAST, rightCode] = this.parseTerm();
-      const binAST = { type: 'binop', op: opToken, left: leftAST, right: rightAST };
-
-      const tempAddr = this.newTemp();
-      const storeLeft = `STORE r0, [${tempAddr}]`;
-      const loadLeftIntoR1 = `LOAD r1, [${tempAddr}]`;
-      // NOTE: r0 holds the *right* value after rightCode, r1 holds the *left*.
-      // ADD is commutative, so `ADD r0, r1` is fine.
-      // SUB is not, so compute left-right into r1, then move back into r0.
-      let code;
-      if (opToken === '+') {
-        code = [...leftCode, storeLeft, ...rightCode, loadLeftIntoR1, 'ADD r0, r1'];
-      } else {
-        code = [
-          ...leftCode,
-          storeLeft,
-          ...rightCode,
-          loadLeftIntoR1,
-          'SUB r1, r0',
-          `STORE r1, [${tempAddr}]`,
-          `LOAD r0, [${tempAddr}]`,
-        ];
-      }
-
-      leftAST = binAST;
-      leftCode = code;
+      const opToken = this.eat(this.currentToken().value);
+      const right = this.parseTerm();
+      left = { type: 'binop', op: opToken.value, left, right, loc: left.loc, opLoc: this.loc(opToken) };
     }
-    return [leftAST, leftCode];
+    return left;
   }
 
   // term -> factor { (*|/) factor }
   parseTerm() {
-    let [leftAST, leftCode] = this.parseFactor();
+    let left = this.parseFactor();
     while (this.currentToken().value === '*' || this.currentToken().value === '/') {
-      const opToken = this.currentToken().value;
-      this.eat(opToken);
-      const [rightAST, rightCode] = this.parseFactor();
-      const binAST = { type: 'binop', op: opToken, left: leftAST, right: rightAST };
-
-      const tempAddr = this.newTemp();
-      const storeLeft = `STORE r0, [${tempAddr}]`;
-      const loadLeftIntoR1 = `LOAD r1, [${tempAddr}]`;
-      // NOTE: r0 holds the *right* value after rightCode, r1 holds the *left*.
-      // MUL is commutative, so `MUL r0, r1` is fine.
-      // DIV is not, so compute left/right into r1, then move back into r0.
-      let code;
-      if (opToken === '*') {
-        code = [...leftCode, storeLeft, ...rightCode, loadLeftIntoR1, 'MUL r0, r1'];
+      const opToken = this.eat(this.currentToken().value);
+      const right = this.parseFactor();
+      left = { type: 'binop', op: opToken.value, left, right, loc: left.loc, opLoc: this.loc(opToken) };
+    }
+    return left;
+  }
+
+  // factor -> number | float | ident [subscripts | args] | "(" condition ")" | ("+"|"-") factor
+  //
+  // `ident(...)` is a function call or an intrinsic, which the code
+  // generator tells apart. Unary sign binds tighter than * and /: -a * b is
+  // (-a) * b; unary plus is dropped.
+  parseFactor() {
+    const tk = this.currentToken();
+
+    if (tk.type === 'number' || tk.type === 'float') {
+      this.eat(tk.type);
+      const node = { type: 'num', kind: tk.type === 'number' ? 'int' : 'float', value: tk.value, loc: this.loc(tk) };
+      if (tk.raw !== undefined) node.raw = tk.raw;
+      return node;
+    }
+
+    if (tk.type === 'ident') {
+      this.eat('ident');
+      const loc = this.loc(tk);
+      if (this.currentToken().value === '(') return { type: 'callExpr', name: tk.value, args: this.parseArguments(), loc };
+      if (this.currentToken().value === '[') return { type: 'index', name: tk.value, indices: this.parseSubscripts(), loc };
+      return { type: 'name', name: tk.value, loc };
+    }
+
+    // Parentheses may hold a full condition, e.g. (a < b) and (c < d).
+    if (tk.value === '(') {
+      this.eat('(');
+      const expr = this.parseCondition();
+      this.eat(')');
+      return expr;
+    }
+
+    if (tk.value === '+' || tk.value === '-') {
+      this.eat(tk.value);
+      const expr = this.parseFactor();
+      return tk.value === '+' ? expr : { type: 'neg', expr, loc: this.loc(tk) };
+    }
+    throw this.syntaxError(`expected an expression but found ${this.describe(tk)}`, tk);
+  }
+}
+
+// `LOAD r0, X` of an immediate or a variable, after at most a display load
+// into r3, as { pre, operand } so the value can be loaded into another
+// register instead; null for any other code.
+function leafLoad(code) {
+  const pre = code.length === 2 && /^LOAD r3, \[\S+\]$/.test(code[0]) ? [code[0]] : [];
+  if (code.length !== pre.length + 1) return null;
+  const m = /^LOAD r0, (#\S+|\[\S+\])$/.exec(code[code.length - 1]);
+  return m && { pre, operand: m[1] };
+}
+
+// Code generator: AST -> assembly. Resolves names through the lexical
+// scopes, lays out storage (static cells or frame slots), types expressions
+// (converting between integer and fixed where needed) and reports semantic
+// errors at the nodes' locations; generate() throws a PL0CompileError at
+// the end if there were any errors, syntax errors included.
+//
+// The AST is annotated on the way: expression nodes get `valueType`
+// ('integer', 'fixed' or null for untyped) and, when converted implicitly,
+// `converted` (the type they were converted to); callExpr nodes get
+// `target` ('function', the intrinsic's opcode, 'fx', 'int' or null for an
+// unknown name); varDecl nodes `addr` (static) or `offset` (frame);
+// procedures their `label`; call statements `external` (a PL0CALL).
+class PL0CodeGen extends PL0Pass {
+  constructor(options = {}) {
+    super(options);
+    // Lexical scope chain (one scope per program/procedure block).
+    // Each scope maps a name to a symbol:
+    //   { kind: 'var', addr }                (static mode: absolute address)
+    //   { kind: 'var', scope, offset }       (frame mode: lives at [fp-offset])
+    // Array variables additionally carry `dims` (e.g. [4, 4]) and `size`; the
+    // address/offset then names element 0 and elements follow upwards.
+    // Variables also carry `valueType`: 'integer', 'fixed' or null (untyped).
+    //   { kind: 'const', value, valueKind }  (value already encoded)
+    //   { kind: 'proc', label, level, params, paramTypes, isFunction, resultType }
+    this.scope = null;
+    this.nextVarAddr = Number.isFinite(options.baseAddr) ? options.baseAddr : 0;
+    // Static cells handed out by this code generator, in order: [{ name, addr }].
+    this.staticCells = [];
+    this.labelCounter = 100;
+
+    // Expression temporaries are allocated with stack discipline: a binop
+    // reserves one slot (at the current depth) while its right operand is
+    // evaluated and releases it afterwards. The first depths use spare
+    // registers, deeper ones memory cells counting down from `tempBase`
+    // (static mode) or per-depth frame slots (frame mode).
+    this.tempBase = Number.isFinite(options.tempBase) ? options.tempBase : 254;
+    this.tempDepth = 0;
+    this.tempCellsUsed = 0; // static mode: memory cells below tempBase ever used
+
+    // Activation-record mode: every block (program or procedure) gets a
+    // frame on the memory-resident stack, and its variables and temporaries
+    // are addressed relative to the frame pointer. Needed for recursion and
+    // PL0CALL re-entry; off by default to keep the classic static layout.
+    this.frames = !!options.frames;
+
+    // Emit BOUND checks on array subscripts (traps at run time when out of range).
+    this.boundsCheck = !!options.boundsCheck;
+
+    // Registers free for temporaries (r3 is the display scratch in frame mode).
+    this.tempRegs = this.frames ? ['r2'] : ['r2', 'r3'];
+
+    // Fixed-point scale used for sugar literals (e.g. 1.5, pi)
+    // and helper conversions fx(...)/int(...).
+    this.fxScale = Number.isFinite(options.fxScale) ? options.fxScale : 65536;
+
+    // Built-in real constants (encoded as fixed-point when used as factors)
+    // NOTE: variables with the same name override these.
+    this.consts = {
+      pi: Math.PI,
+      tau: Math.PI * 2,
+      e: Math.E,
+    };
+
+    // Math intrinsics (extension), from the op registry in fixed_math.js.
+    // Unary: ident '(' expr ')' => `OP r0` (FSIN/FLN/...).
+    // Two-operand: ident '(' expr ',' expr ')' => `OP rX, rY`; min and max
+    // also take more arguments, folded left.
+    this.intrinsics = intrinsicMap(1);
+    this.binaryIntrinsics = intrinsicMap(2);
+
+    // Optimization level: 1 folds constant expressions and drops dead
+    // branches, 2 also keeps operands in registers (see genOperator).
+    // Folding computes what the CPU would, so it needs the CPU's word size,
+    // FMUL/FDIV rounding and math backend.
+    this.optimize = options.optimize ?? 0;
+    this.fxRound = options.fxRound ?? 'floor';
+    this.mathImpl = options.mathImpl ?? 'float';
+    this.word = options.word ?? null;
+  }
+
+  // Code for a whole program (without the final RET).
+  generate(program) {
+    this.openScope();
+    const code = this.genBlock(program.block, program);
+    this.scope = null;
+    this.throwIfErrors();
+    return code;
+  }
+
+  // Names visible from the current scope, optionally filtered by symbol kind.
+  visibleNames(kinds) {
+    const names = [];
+    for (let s = this.scope; s; s = s.parent) {
+      for (const [name, sym] of s.symbols) {
+        if (kinds.includes(sym.kind)) names.push(name);
+      }
+    }
+    return names;
+  }
+
+  // Source marker: a comment line `;@line:col:length kind` attributing the
+  // instructions after it (up to the next marker) to `node`, a statement,
+  // procedure or program. compilePL0 moves the markers into PL0SourceMaps.
+  sourceMark(node) {
+    const { line, col, length } = node.loc;
+    return `;@${line}:${col}:${length ?? 1} ${node.type}`;
+  }
+
+  newLabel(prefix = 'label') {
+    const label = `${prefix}_${this.labelCounter}`;
+    this.labelCounter++;
+    return label;
+  }
+
+  // Reserve the temporary for the current depth; pair with freeTemp().
+  // Returns { reg } for a register temp or { mem } (operand without brackets).
+  allocTemp() {
+    return this.tempAt(this.tempDepth++);
+  }
+
+  // Storage of the temporary at nesting depth `depth`.
+  tempAt(depth) {
+    if (depth < this.tempRegs.length) return { reg: this.tempRegs[depth] };
+    const k = depth - this.tempRegs.length;
+    if (this.frames) {
+      const slots = this.scope.tempSlots;
+      while (slots.length <= k) slots.push(this.allocFrameSlot());
+      return { mem: `fp-${slots[k]}` };
+    }
+    this.tempCellsUsed = Math.max(this.tempCellsUsed, k + 1);
+    return { mem: String(this.tempBase - k) };
+  }
+
+  freeTemp() {
+    this.tempDepth--;
+  }
+
+  // Code that saves r0 into temp `t`.
+  saveTemp(t) {
+    return t.reg ? [`MOV ${t.reg}, r0`] : [`STORE r0, [${t.mem}]`];
+  }
+
+  // Code that makes temp `t` available in a register (r1 for memory temps);
+  // returns { code, reg }.
+  readTemp(t) {
+    return t.reg ? { code: [], reg: t.reg } : { code: [`LOAD r1, [${t.mem}]`], reg: 'r1' };
+  }
+
+  // Combine `left op right` where left was saved in temp `t` and right is in
+  // r0; the result ends up in r0. Commutative ops work on r0 directly,
+  // SUB/DIV compute into the left register and move the result back.
+  // Relations are compiled mirrored (see genRelation).
+  combineTemp(t, op) {
+    const { code, reg } = this.readTemp(t);
+    if (op === 'ADD' || op === 'MUL' || op === 'FMUL' || /^S(EQ|NE|LT|LE|GT|GE)$/.test(op)) {
+      return [...code, `${op} r0, ${reg}`];
+    }
+    return [...code, `${op} ${reg}, r0`, `MOV r0, ${reg}`];
+  }
+
+  // Code that preserves the live temporaries around a call made from inside
+  // an expression: they are pushed on the data stack below the arguments and
+  // popped back after the return (r0 holds the result, r1 is scratch).
+  // Register temps are always saved; memory temps only in static mode, where
+  // every procedure shares the same cells. Returns { save, restore }.
+  spillTemps() {
+    const live = [];
+    for (let d = 0; d < this.tempDepth; d++) {
+      const t = this.tempAt(d);
+      if (t.reg || !this.frames) live.push(t);
+    }
+    const save = [];
+    const restore = [];
+    for (const t of live) {
+      save.push(...(t.reg ? [`PUSH ${t.reg}`] : [`LOAD r1, [${t.mem}]`, 'PUSH r1']));
+      restore.unshift(...(t.reg ? [`POP ${t.reg}`] : ['POP r1', `STORE r1, [${t.mem}]`]));
+    }
+    return { save, restore };
+  }
+
+  // Frame mode: reserve the next slot of the current frame ([fp-N]).
+  allocFrameSlot() {
+    this.scope.frameSize++;
+    return this.scope.frameSize;
+  }
+
+  openScope() {
+    const level = this.scope ? this.scope.level + 1 : 0;
+    this.scope = {
+      parent: this.scope,
+      level,
+      symbols: new Map(),
+      // Frame mode bookkeeping: slots used so far, and (for blocks that
+      // declare procedures) the static display cell pointing at the
+      // innermost live frame of this block plus the slot saving its old value.
+      frameSize: 0,
+      displayAddr: null,
+      savedDisplaySlot: null,
+      tempSlots: [],
+    };
+  }
+
+  closeScope() {
+    this.scope = this.scope.parent;
+  }
+
+  // Resolve a name through the enclosing scopes (innermost wins).
+  lookup(ident) {
+    for (let s = this.scope; s; s = s.parent) {
+      if (s.symbols.has(ident)) return s.symbols.get(ident);
+    }
+    return null;
+  }
+
+  // A duplicate is reported and the new symbol left out of the scope.
+  declareSymbol(ident, sym, loc) {
+    const prev = this.scope.symbols.get(ident);
+    if (prev) {
+      if (prev.kind === sym.kind) {
+        const what = { var: 'Variable', const: 'Constant', proc: 'Procedure' }[sym.kind];
+        this.report(`${what} '${ident}' already declared`, loc);
       } else {
-        code = [
-          ...leftCode,
-          storeLeft,
-          ...rightCode,
-          loadLeftIntoR1,
-          'DIV r1, r0',
-          `STORE r1, [${tempAddr}]`,
-          `LOAD r0, [${tempAddr}]`,
-        ];
+        const as = { var: 'a variable', const: 'a constant', proc: 'a procedure' }[prev.kind];
+        this.report(`'${ident}' already declared as ${as}`, loc);
       }
+      return sym;
+    }
+    this.scope.symbols.set(ident, sym);
+    return sym;
+  }
 
-      leftAST = binAST;
-      leftCode = code;
+  declareVar(ident, dims, loc) {
+    const size = dims ? dims.reduce((a, b) => a * b, 1) : 1;
+    const extra = dims ? { dims, size, valueType: null } : { valueType: null };
+    if (this.frames) {
+      // Element 0 sits at the lowest address of the reserved block.
+      const sym = { kind: 'var', scope: this.scope, offset: this.scope.frameSize + size, ...extra };
+      for (let i = 0; i < size; i++) this.allocFrameSlot();
+      return this.declareSymbol(ident, sym, loc);
     }
-    return [leftAST, leftCode];
+    const addr = this.nextVarAddr;
+    this.nextVarAddr += size;
+    this.staticCells.push({ name: dims ? `${ident}[${dims.join('][')}]` : ident, addr });
+    return this.declareSymbol(ident, { kind: 'var', addr, ...extra }, loc);
   }
 
-  // factor -> number | float | ident | "(" expression ")"
-//
-// Fixed-point sugar:
-//   - Float literals (e.g. 1.5, 0.25, 2e-3) compile to round(value * fxScale)
-//   - Built-in constants: pi, tau, e
-//   - Helper conversions:
-//       fx(expr)  => expr * fxScale
-//       int(expr) => floor(expr / fxScale)
-//
-// Note: integer literals remain unscaled for backwards-compatibility with the
-// PDF-style integer PL/0 programs (e.g. matrixTest).
-parseFactor() {
-  const tk = this.currentToken();
+  // Declare a compiler-generated variable (loop limits, case selectors,
+  // function results). The name cannot clash with user identifiers.
+  declareHiddenVar(prefix) {
+    return this.declareVar(`.${prefix}${this.labelCounter++}`, null, null);
+  }
 
-  if (tk.type === 'number') {
-    this.eat('number');
-    const code = [`LOAD r0, #${tk.value}`];
-    return [{ type: 'num', value: tk.value }, code];
+  // Resolve a variable used at `loc`. Problems are reported and a stand-in
+  // variable returned, so checking carries on.
+  getVar(ident, loc) {
+    const sym = this.lookup(ident);
+    const standIn = { kind: 'var', addr: 0 };
+    if (!sym) {
+      this.report(`Unknown variable '${ident}'`, loc, this.suggest(ident, this.visibleNames(['var'])));
+      return standIn;
+    }
+    if (sym.kind === 'const') {
+      this.report(`Cannot use constant '${ident}' as a variable`, loc);
+      return standIn;
+    }
+    if (sym.kind === 'proc') {
+      this.report(`Cannot use procedure '${ident}' as a variable`, loc);
+      return standIn;
+    }
+    if (sym.dims) this.report(`Array '${ident}' must be indexed`, loc);
+    return sym;
   }
 
-  if (tk.type === 'float') {
-    this.eat('float');
-    const scaled = floatToFx(tk.value, this.fxScale);
-    const code = [`LOAD r0, #${scaled}`];
-    return [{ type: 'num', value: scaled, raw: tk.raw, kind: 'fixed' }, code];
+  // The array `ident`, subscripted `count` times at `loc`. Anything but a
+  // variable is reported (by getVar) and replaced with a stand-in array with
+  // as many dimensions as there are subscripts, to keep checking.
+  getArray(ident, count, loc) {
+    const sym = this.lookup(ident);
+    if (sym && sym.kind === 'var') return sym;
+    return { ...this.getVar(ident, loc), dims: new Array(count).fill(1) };
   }
 
-  if (tk.type === 'ident') {
-    // Either a variable, a constant, or a call-like intrinsic: name '(' expression ')'
-    const name = tk.value;
-    const nameLower = String(name).toLowerCase();
-    const next = this.tokens[this.pos + 1] || { type: 'EOF', value: '' };
+  // Code that leaves the address of element `indices` of array `sym` in r0.
+  // Subscripts are flattened row-major: m[i][j] -> i * cols + j. The address
+  // arithmetic uses LEA so it never goes through the (possibly neural) ALU.
+  genElementAddress(ident, sym, indices, loc) {
+    if (!sym.dims || indices.length !== sym.dims.length) {
+      if (!sym.dims) this.report(`'${ident}' is not an array`, loc);
+      else this.report(`Array '${ident}' expects ${sym.dims.length} index(es), got ${indices.length}`, loc);
+      indices.forEach((idx) => this.genExpr(idx));
+      return ['LOAD r0, #0'];
+    }
+    let code = [];
+    for (let d = 0; d < sym.dims.length; d++) {
+      const t = d > 0 ? this.allocTemp() : null;
+      const part = this.genExpr(indices[d]);
+      if (t) this.freeTemp();
+      if (this.boundsCheck) part.push(`BOUND r0, #${sym.dims[d]}`);
+      const stride = sym.dims.slice(d + 1).reduce((a, b) => a * b, 1);
+      if (stride !== 1) part.push(`LOAD r1, #${stride}`, 'MUL r0, r1');
+      code = t ? [...code, ...this.saveTemp(t), ...part, ...this.combineTemp(t, 'ADD')] : part;
+    }
 
-    if (next.value === '(') {
-      this.eat('ident');
-      this.eat('(');
-      const [exprAST, exprCode] = this.parseExpression();
-      this.eat(')');
+    if (sym.addr !== undefined) {
+      code.push(`LEA r0, [r0+${sym.addr}]`);
+    } else {
+      const { pre, operand } = this.varOperand(sym);
+      code.push(...pre, `LEA r1, ${operand}`, 'LEA r0, [r1+r0]');
+    }
+    return code;
+  }
+
+  // Memory operand for a variable plus any code needed to reach it.
+  // Static variables and locals of the current frame are addressed directly;
+  // locals of an enclosing block are reached through that block's display
+  // cell, loaded into r3 (reserved as the address scratch register).
+  varOperand(sym) {
+    if (sym.addr !== undefined) return { pre: [], operand: `[${sym.addr}]` };
+    if (sym.scope === this.scope) return { pre: [], operand: `[fp-${sym.offset}]` };
+    return { pre: [`LOAD r3, [${sym.scope.displayAddr}]`], operand: `[r3-${sym.offset}]` };
+  }
+
+  loadVar(reg, sym) {
+    const { pre, operand } = this.varOperand(sym);
+    return [...pre, `LOAD ${reg}, ${operand}`];
+  }
+
+  storeVar(reg, sym) {
+    const { pre, operand } = this.varOperand(sym);
+    return [...pre, `STORE ${reg}, ${operand}`];
+  }
+
+  isConst(ident) {
+    const sym = this.lookup(ident);
+    return !!sym && sym.kind === 'const';
+  }
+
+  // Code that leaves the value of a variable or constant in r0.
+  loadIdent(ident, loc) {
+    const sym = this.lookup(ident);
+    if (sym && sym.kind === 'const') return [`LOAD r0, #${sym.value}`];
+    return this.loadVar('r0', this.getVar(ident, loc));
+  }
+
+  // Frame mode: a block that declares procedures keeps a display cell (a
+  // static word holding the frame pointer of its innermost activation), so
+  // nested procedures can reach its locals. Allocated before the nested
+  // bodies are compiled.
+  ensureDisplay() {
+    if (!this.frames || this.scope.displayAddr !== null) return;
+    this.scope.displayAddr = this.nextVarAddr++;
+    this.staticCells.push({ name: `.display${this.scope.level}`, addr: this.scope.displayAddr });
+    this.scope.savedDisplaySlot = this.allocFrameSlot();
+  }
+
+  // Frame mode: wrap a block's statement code in its activation record.
+  //   ENTER n                  push fp, fp := sp, reserve n slots
+  //   (save + set display)     only for blocks that declare procedures
+  //   ...
+  //   (restore display)
+  //   LEAVE                    sp := fp, pop fp
+  // Only r1 is used so a value left in r0 survives the epilogue.
+  wrapFrame(code) {
+    const s = this.scope;
+    const prologue = [`ENTER ${s.frameSize}`];
+    const epilogue = [];
+    if (s.displayAddr !== null) {
+      prologue.push(
+        `LOAD r1, [${s.displayAddr}]`,
+        `STORE r1, [fp-${s.savedDisplaySlot}]`,
+        'LEA r1, [fp]',
+        `STORE r1, [${s.displayAddr}]`,
+      );
+      epilogue.push(
+        `LOAD r1, [fp-${s.savedDisplaySlot}]`,
+        `STORE r1, [${s.displayAddr}]`,
+      );
+    }
+    epilogue.push('LEAVE');
+    return [...prologue, ...code, ...epilogue];
+  }
+
+  // Procedure bodies are emitted in front of the block's statement, so a block
+  // that declares procedures starts with a jump over them. `entryCode` and
+  // `exitCode` (parameter unmarshaling, function result) go around the
+  // statement, inside the activation record; they and the frame code are
+  // attributed to `owner`, the program or procedure.
+  genBlock(block, owner, entryCode = [], exitCode = []) {
+    // Constants never occupy memory: every use folds into `LOAD r0, #imm`.
+    for (const decl of block.constDecls) {
+      const { value, kind } = this.constValue(decl.value);
+      this.declareSymbol(decl.ident, { kind: 'const', value, valueKind: kind }, decl.loc);
+    }
+    for (const decl of block.varDecls) this.genVarDecl(decl);
+    if (block.procDecls.length) this.ensureDisplay();
+    const codeProcs = [];
+    for (const proc of block.procDecls) codeProcs.push(...this.genProcDecl(proc));
+    const stmtCode = [...entryCode, ...this.genStatement(block.statement), this.sourceMark(owner), ...exitCode];
+    let blockCode = [];
+    if (codeProcs.length) {
+      const bodyLabel = this.newLabel();
+      blockCode = [`JMP ${bodyLabel}`, ...codeProcs, `${bodyLabel}:`];
+    }
+    return blockCode.concat(this.sourceMark(owner), this.frames ? this.wrapFrame(stmtCode) : stmtCode);
+  }
+
+  // Variables without a type are untyped, as in classic PL/0: their values
+  // are never checked or rescaled.
+  genVarDecl(decl) {
+    let dims = null;
+    if (decl.dims) {
+      dims = decl.dims.map((size) => {
+        const dim = this.constValue(size);
+        if (dim.kind === 'int' && dim.value >= 1) return dim.value;
+        this.report(`Array size of '${decl.ident}' must be a positive integer constant`, size.loc);
+        return 1;
+      });
+    }
+    const sym = this.declareVar(decl.ident, dims, decl.loc);
+    sym.valueType = decl.valueType;
+    if (sym.addr !== undefined) decl.addr = sym.addr;
+    else decl.offset = sym.offset;
+  }
+
+  // Value of a constValue node: { value, kind }. `ident` may name an earlier
+  // constant or one of the built-ins (pi, tau, e). Float literals and
+  // built-ins are fixed-point (kind 'fixed'); integer literals stay unscaled
+  // (kind 'int'), exactly as in expressions.
+  constValue(node) {
+    const { sign } = node;
+    if (node.kind === 'number') return { value: sign * node.value, kind: 'int' };
+    if (node.kind === 'float') return { value: floatToFx(sign * node.value, this.fxScale), kind: 'fixed' };
+    const sym = this.lookup(node.value);
+    if (sym && sym.kind === 'const') {
+      return { value: sign * sym.value, kind: sym.valueKind };
+    }
+    if (sym) {
+      this.report(`Constant value must be known at compile time; '${node.value}' is not a constant`, node.loc);
+      return { value: 0, kind: 'int' };
+    }
+    const nameLower = String(node.value).toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(this.consts, nameLower)) {
+      return { value: floatToFx(sign * this.consts[nameLower], this.fxScale), kind: 'fixed' };
+    }
+    const known = [...this.visibleNames(['const']), ...Object.keys(this.consts)];
+    this.report(`Unknown constant '${node.value}'`, node.loc, this.suggest(node.value, known));
+    return { value: 0, kind: 'int' };
+  }
+
+  // Compiles to a labelled subroutine in the same instruction stream, entered
+  // with `CALL label` and left with `RET`. The name is declared before the body
+  // is compiled, so a procedure can call itself (and anything declared earlier).
+  //
+  // Calling convention: the caller pushes the arguments left to right on the
+  // data stack and CALLs; the callee pops them (last first) into its
+  // parameter variables. A function returns its result in r0; the result is
+  // set by assigning to the function's name inside its body.
+  genProcDecl(proc) {
+    const isFunction = proc.type === 'function';
+    const label = this.newLabel(`proc_${proc.name}`);
+    const sym = this.declareSymbol(proc.name, {
+      kind: 'proc',
+      label,
+      level: this.scope.level + 1,
+      params: proc.params.length,
+      paramTypes: proc.params.map((p) => p.valueType),
+      isFunction,
+      resultType: proc.resultType,
+    }, proc.loc);
+    proc.label = label;
+    this.openScope();
+    const paramSyms = proc.params.map((p) => {
+      const param = this.declareVar(p.name, null, p.loc);
+      param.valueType = p.valueType;
+      return param;
+    });
+    const entryCode = [];
+    for (let i = paramSyms.length - 1; i >= 0; i--) {
+      entryCode.push('POP r0', ...this.storeVar('r0', paramSyms[i]));
+    }
+    const exitCode = [];
+    if (isFunction) {
+      this.scope.func = sym;
+      this.scope.resultVar = this.declareHiddenVar('result');
+      this.scope.resultVar.valueType = proc.resultType;
+      exitCode.push(...this.loadVar('r0', this.scope.resultVar));
+    }
+    const blockCode = this.genBlock(proc.block, proc, entryCode, exitCode);
+    this.closeScope();
+    return [`${label}:`, ...blockCode, 'RET'];
+  }
+
+  // The code of every statement starts with its source marker; compound and
+  // empty statements have none of their own.
+  genStatement(node) {
+    switch (node.type) {
+      case 'compound': return node.statements.flatMap((s) => this.genStatement(s));
+      case 'noop': return [];
+      default: return [this.sourceMark(node), ...this.genStatementCode(node)];
+    }
+  }
+
+  genStatementCode(node) {
+    switch (node.type) {
+      case 'assign': return node.indices ? this.genElementAssignment(node) : this.genAssignment(node);
+      case 'call': return this.genCallStatement(node);
+      case 'if': return this.genIf(node);
+      case 'while': return this.genWhile(node);
+      case 'repeat': return this.genRepeat(node);
+      case 'for': return this.genFor(node);
+      case 'case': return this.genCase(node);
+      case 'push': return this.genPush(node);
+      case 'pop': return this.genPop(node);
+      case 'peek': return this.genPeek(node);
+      case 'poke': return this.genPoke(node);
+      default: throw new Error(`PL0CodeGen: unknown statement type '${node.type}'`);
+    }
+  }
+
+  // Code for calling `ident` with `args`. A procedure visible in the current
+  // scope is called with `CALL label` after an arity check; any other name
+  // is taken to be a separately compiled program (PL0CALL), which pops its
+  // own arguments. Each argument is evaluated into r0, converted to the type
+  // of its parameter (if both are typed) and pushed, left to right.
+  genCall(ident, args, loc) {
+    let sym = this.lookup(ident);
+    if (sym && sym.kind !== 'proc') {
+      this.report(`Cannot call '${ident}': not a procedure`, loc, this.suggest(ident, this.visibleNames(['proc'])));
+      sym = null;
+    }
+    const paramTypes = sym ? sym.paramTypes : [];
+    const code = [];
+    args.forEach((arg, i) => {
+      code.push(...this.coerce(arg, this.genExpr(arg), paramTypes[i], arg.loc, `argument ${i + 1} of '${ident}'`), 'PUSH r0');
+    });
+    if (sym && args.length !== sym.params) {
+      const what = sym.isFunction ? 'Function' : 'Procedure';
+      this.report(`${what} '${ident}' expects ${sym.params} argument(s), got ${args.length}`, loc);
+    }
+    code.push(sym ? `CALL ${sym.label}` : `PL0CALL ${ident}`);
+    return code;
+  }
+
+  // Calling a function as a statement discards its result.
+  genCallStatement(node) {
+    const sym = this.lookup(node.ident);
+    node.external = !sym || sym.kind !== 'proc';
+    return this.genCall(node.ident, node.args, node.loc);
+  }
+
+  genAssignment(node) {
+    const exprCode = this.genExpr(node.expr);
+    let sym = this.functionResultVar(node.ident);
+    if (!sym && this.isConst(node.ident)) {
+      this.report(`Cannot assign to constant '${node.ident}'`, node.loc);
+      sym = { kind: 'var', addr: 0 };
+    }
+    sym = sym || this.getVar(node.ident, node.loc);
+    const valueCode = this.coerce(node.expr, exprCode, sym.valueType, node.loc, `assignment to '${node.ident}'`);
+    return [...valueCode, ...this.storeVar('r0', sym)];
+  }
+
+  // Inside a function body (or a block nested in it), assigning to the
+  // function's name sets its result. Returns the hidden result variable.
+  functionResultVar(ident) {
+    const sym = this.lookup(ident);
+    if (!sym || sym.kind !== 'proc') return null;
+    for (let s = this.scope; s; s = s.parent) {
+      if (s.func === sym) return s.resultVar;
+    }
+    return null;
+  }
+
+  // a[i]... := expression  (the element address is held in a temporary
+  // while the right-hand side is evaluated)
+  genElementAssignment(node) {
+    const sym = this.getArray(node.ident, node.indices.length, node.loc);
+    const addrCode = this.genElementAddress(node.ident, sym, node.indices, node.loc);
+    const t = this.allocTemp();
+    const exprCode = this.coerce(node.expr, this.genExpr(node.expr), sym.valueType, node.loc,
+      `assignment to '${node.ident}[...]'`);
+    this.freeTemp();
+    const { code: readCode, reg } = this.readTemp(t);
+    return [...addrCode, ...this.saveTemp(t), ...exprCode, ...readCode, `POKE r0, [${reg}]`];
+  }
+
+  // Does `push`/`pop` of `node` address an array element?
+  isElementAccess(node) {
+    if (node.indices) return true;
+    const sym = this.lookup(node.ident);
+    return !!sym && sym.kind === 'var' && !!sym.dims;
+  }
+
+  genPush(node) {
+    if (this.isElementAccess(node)) {
+      const indices = node.indices || [];
+      const sym = this.getArray(node.ident, indices.length, node.loc);
+      return [...this.genElementAddress(node.ident, sym, indices, node.loc), 'PEEK r0, [r0]', 'PUSH r0'];
+    }
+    return [...this.loadIdent(node.ident, node.loc), 'PUSH r0'];
+  }
+
+  genPop(node) {
+    if (this.isElementAccess(node)) {
+      const indices = node.indices || [];
+      const sym = this.getArray(node.ident, indices.length, node.loc);
+      return [...this.genElementAddress(node.ident, sym, indices, node.loc), 'MOV r1, r0', 'POP r0', 'POKE r0, [r1]'];
+    }
+    if (this.isConst(node.ident)) this.report(`Cannot pop into constant '${node.ident}'`, node.loc);
+    const sym = this.getVar(node.ident, node.loc);
+    return ['POP r0', ...this.storeVar('r0', sym)];
+  }
+
+  genPeek(node) {
+    const destSym = this.getVar(node.dest.name, node.dest.loc);
+    const addrSym = this.getVar(node.addr.name, node.addr.loc);
+    return [
+      ...this.loadVar('r0', addrSym),
+      'PEEK r1, [r0]',
+      ...this.storeVar('r1', destSym),
+    ];
+  }
+
+  genPoke(node) {
+    const addrSym = this.getVar(node.addr.name, node.addr.loc);
+    const valSym = this.getVar(node.val.name, node.val.loc);
+    return [
+      ...this.loadVar('r0', addrSym),
+      ...this.loadVar('r1', valSym),
+      'POKE r1, [r0]',
+    ];
+  }
+
+  // With a constant condition only the branch taken is kept (-O1).
+  genIf(node) {
+    const condCode = this.genExpr(node.condition);
+    const thenCode = this.genStatement(node.thenPart);
+    const cond = this.constantOf(condCode);
+    if (cond !== null) return cond ? thenCode : (node.elsePart ? this.genStatement(node.elsePart) : []);
+    if (!node.elsePart) {
+      const skipLabel = this.newLabel();
+      return [...condCode, `JZ r0, ${skipLabel}`, ...thenCode, `${skipLabel}:`];
+    }
+    const elseCode = this.genStatement(node.elsePart);
+    const elseLabel = this.newLabel();
+    const endLabel = this.newLabel();
+    return [
+      ...condCode,
+      `JZ r0, ${elseLabel}`,
+      ...thenCode,
+      `JMP ${endLabel}`,
+      `${elseLabel}:`,
+      ...elseCode,
+      `${endLabel}:`,
+    ];
+  }
+
+  genWhile(node) {
+    const startLabel = this.newLabel();
+    const exitLabel = this.newLabel();
+    const condCode = this.genExpr(node.condition);
+    const bodyCode = this.genStatement(node.body);
+    const cond = this.constantOf(condCode);
+    if (cond === 0) return [];
+    if (cond !== null) return [`${startLabel}:`, ...bodyCode, this.sourceMark(node), `JMP ${startLabel}`];
+    return [
+      `${startLabel}:`,
+      ...condCode,
+      `JZ r0, ${exitLabel}`,
+      ...bodyCode,
+      this.sourceMark(node),
+      `JMP ${startLabel}`,
+      `${exitLabel}:`,
+    ];
+  }
+
+  genRepeat(node) {
+    const startLabel = this.newLabel();
+    const bodyCode = node.body.flatMap((s) => this.genStatement(s));
+    const condCode = this.genExpr(node.condition);
+    const cond = this.constantOf(condCode);
+    if (cond) return bodyCode;
+    const mark = this.sourceMark(node);
+    if (cond === 0) return [`${startLabel}:`, ...bodyCode, mark, `JMP ${startLabel}`];
+    return [`${startLabel}:`, ...bodyCode, mark, ...condCode, `JZ r0, ${startLabel}`];
+  }
+
+  // The limit is evaluated once, before the first iteration, into a hidden
+  // variable. The loop variable is stepped by 1 after each pass of the body.
+  genFor(node) {
+    if (this.isConst(node.ident)) this.report(`Cannot use constant '${node.ident}' as a loop variable`, node.loc);
+    const loopVar = this.getVar(node.ident, node.loc);
+    const fromCode = this.genExpr(node.from);
+    const toCode = this.genExpr(node.to);
+    const bodyCode = this.genStatement(node.body);
 
-      // Unary math intrinsics
-      const op = this.intrinsics[nameLower];
-      if (op) {
-        const code = [
-          ...exprCode,
-          `${op} r0`,
-        ];
-        return [{ type: 'intrinsic', name, arg: exprAST }, code];
+    const limitVar = this.declareHiddenVar('for');
+    const startLabel = this.newLabel();
+    const exitLabel = this.newLabel();
+    const { down } = node;
+    return [
+      ...fromCode,
+      ...this.storeVar('r0', loopVar),
+      ...toCode,
+      ...this.storeVar('r0', limitVar),
+      `${startLabel}:`,
+      ...this.loadVar('r0', loopVar),
+      ...this.loadVar('r1', limitVar),
+      `${down ? 'SLT' : 'SGT'} r0, r1`,
+      `JNZ r0, ${exitLabel}`,
+      ...bodyCode,
+      this.sourceMark(node),
+      ...this.loadVar('r0', loopVar),
+      'LOAD r1, #1',
+      `${down ? 'SUB' : 'ADD'} r0, r1`,
+      ...this.storeVar('r0', loopVar),
+      `JMP ${startLabel}`,
+      `${exitLabel}:`,
+    ];
+  }
+
+  // The selector is evaluated once into a hidden variable and compared
+  // against each label in turn; without a matching arm (and no else) the
+  // statement does nothing.
+  genCase(node) {
+    const exprCode = this.genExpr(node.expr);
+    const selVar = this.declareHiddenVar('case');
+    const endLabel = this.newLabel();
+    const seen = new Set();
+    const dispatch = [...exprCode, ...this.storeVar('r0', selVar)];
+    const bodies = [];
+    for (const arm of node.arms) {
+      const labels = arm.labels.map((labelNode) => {
+        const { value } = this.constValue(labelNode);
+        if (seen.has(value)) this.report(`Duplicate case label ${value}`, labelNode.loc);
+        seen.add(value);
+        return value;
+      });
+      const stmtCode = this.genStatement(arm.statement);
+      const armLabel = this.newLabel();
+      for (const v of labels) {
+        dispatch.push(...this.loadVar('r0', selVar), `LOAD r1, #${v}`, 'SEQ r0, r1', `JNZ r0, ${armLabel}`);
       }
+      bodies.push(`${armLabel}:`, ...stmtCode, `JMP ${endLabel}`);
+    }
+    const elseCode = node.elsePart ? this.genStatement(node.elsePart) : [];
+    return [...dispatch, ...elseCode, `JMP ${endLabel}`, ...bodies, `${endLabel}:`];
+  }
 
-      // Fixed-point helpers
-      if (nameLower === 'fx' || nameLower === 'tofx') {
-        const tempAddr = this.newTemp();
-        const code = [
-          ...exprCode,
-          `STORE r0, [${tempAddr}]`,
-          `LOAD r0, #${this.fxScale}`,
-          `LOAD r1, [${tempAddr}]`,
-          `MUL r0, r1`,
-        ];
-        return [{ type: 'fx', arg: exprAST }, code];
+  // Code leaving the value of expression (or condition) `node` in r0; sets
+  // node.valueType.
+  genExpr(node) {
+    switch (node.type) {
+      case 'num': return this.genLiteral(node);
+      case 'name': return this.genName(node);
+      case 'index': return this.genIndex(node);
+      case 'callExpr': return this.genCallExpr(node);
+      case 'neg': return this.genNeg(node);
+      case 'binop': return this.genBinop(node);
+      case 'relation': return this.genRelation(node);
+      case 'and': case 'or': return this.genLogical(node);
+      case 'not': {
+        const code = this.genExpr(node.expr);
+        node.valueType = 'integer';
+        const k = this.constantOf(code);
+        if (k !== null) return [`LOAD r0, #${k === 0 ? 1 : 0}`];
+        return [...code, 'LOAD r1, #0', 'SEQ r0, r1'];
       }
+      case 'odd': {
+        const code = this.genExpr(node.expr);
+        node.valueType = 'integer';
+        const k = this.constantOf(code);
+        if (k !== null) return [`LOAD r0, #${Math.abs(k) % 2}`];
+        return [...code, 'ODD r0'];
+      }
+      default: throw new Error(`PL0CodeGen: unknown expression type '${node.type}'`);
+    }
+  }
 
-      if (nameLower === 'int' || nameLower === 'fromfx' || nameLower === 'unfx') {
-        const code = [
-          ...exprCode,
-          `LOAD r1, #${this.fxScale}`,
-          `DIV r0, r1`,
-        ];
-        return [{ type: 'int', arg: exprAST }, code];
+  // Compile-time value of a literal, a named constant or a negation of one,
+  // as { value, valueType } (value encoded as in `LOAD r0, #value`); null
+  // for anything else.
+  literalValue(node) {
+    if (node.type === 'num') {
+      if (node.kind === 'int') return { value: node.value, valueType: 'integer' };
+      return { value: floatToFx(node.value, this.fxScale), valueType: 'fixed' };
+    }
+    if (node.type === 'name') {
+      const sym = this.lookup(node.name);
+      if (sym && sym.kind === 'const') {
+        return { value: sym.value, valueType: sym.valueKind === 'fixed' ? 'fixed' : 'integer' };
+      }
+      const nameLower = String(node.name).toLowerCase();
+      if (!sym && Object.prototype.hasOwnProperty.call(this.consts, nameLower)) {
+        return { value: floatToFx(this.consts[nameLower], this.fxScale), valueType: 'fixed' };
       }
+      return null;
+    }
+    if (node.type === 'neg') {
+      const inner = this.literalValue(node.expr);
+      return inner && { value: -inner.value, valueType: inner.valueType };
+    }
+    return null;
+  }
+
+  // Fixed-point sugar:
+  //   - Float literals (e.g. 1.5, 0.25, 2e-3) compile to round(value * fxScale)
+  //   - Built-in constants: pi, tau, e
+  //
+  // Note: integer literals remain unscaled for backwards-compatibility with the
+  // PDF-style integer PL/0 programs (e.g. matrixTest).
+  genLiteral(node) {
+    const { value, valueType } = this.literalValue(node);
+    node.valueType = valueType;
+    return [`LOAD r0, #${value}`];
+  }
 
-      throw new Error(`Unknown intrinsic '${name}(... )'. Supported: ${Object.keys(this.intrinsics).concat(['fx','int']).join(', ')}`);
+  // A variable, a constant (user or built-in) or, wrongly, a function named
+  // without its argument list.
+  genName(node) {
+    const { name } = node;
+    const sym = this.lookup(name);
+    if (sym && sym.kind === 'proc') {
+      if (!sym.isFunction) this.report(`Procedure '${name}' cannot be used as a value`, node.loc);
+      else this.report(`Function '${name}' must be called with an argument list`, node.loc, `write '${name}(...)'`);
+      node.valueType = sym.resultType;
+      return ['LOAD r0, #0'];
+    }
+    if (sym && sym.kind === 'var') {
+      if (sym.dims) {
+        node.valueType = sym.valueType;
+        return [...this.genElementAddress(name, sym, [], node.loc), 'PEEK r0, [r0]'];
+      }
+      node.valueType = sym.valueType;
+      return this.loadVar('r0', sym);
     }
+    if (this.literalValue(node)) return this.genLiteral(node);
 
-    // variable or constant
-    this.eat('ident');
+    const known = [...this.visibleNames(['var', 'const']), ...Object.keys(this.consts)];
+    this.report(`Unknown variable '${name}'`, node.loc, this.suggest(name, known));
+    node.valueType = null;
+    return ['LOAD r0, #0'];
+  }
+
+  genIndex(node) {
+    const sym = this.getArray(node.name, node.indices.length, node.loc);
+    node.valueType = sym.valueType ?? null;
+    return [...this.genElementAddress(node.name, sym, node.indices, node.loc), 'PEEK r0, [r0]'];
+  }
 
-    if (this.varTable.has(name)) {
-      const addr = this.getVarAddr(name);
-      const code = [`LOAD r0, [${addr}]`];
-      return [{ type: 'var', name }, code];
+  // Negated literals fold into a single LOAD (any constant with -O1).
+  genNeg(node) {
+    const exprCode = this.genExpr(node.expr);
+    node.valueType = node.expr.valueType;
+    const folded = this.literalValue(node);
+    if (folded) return [`LOAD r0, #${folded.value}`];
+    const k = this.constantOf(exprCode);
+    const negated = k === null ? null : this.foldable(-k);
+    if (negated !== null) return [`LOAD r0, #${negated}`];
+    return [...exprCode, 'LOAD r1, #0', 'SUB r1, r0', 'MOV r0, r1'];
+  }
+
+  // Static types: every expression node gets a `valueType` of 'integer',
+  // 'fixed', or null for values of untyped variables, which are never
+  // checked or converted. Integer and float literals, constants, fx() and
+  // int() and the intrinsics are typed, so typing works out from there.
+
+  // Convert the value of `node` (computed into r0 by `code`) to type `to`.
+  // Literals are converted at compile time; anything else costs a MUL or DIV
+  // by fxScale and, being implicit, a warning.
+  coerce(node, code, to, loc, context) {
+    const from = node.valueType;
+    if (!from || !to || from === to) return code;
+    node.converted = to;
+    const literal = this.literalValue(node);
+    if (literal) {
+      const value = to === 'fixed' ? literal.value * this.fxScale : Math.floor(literal.value / this.fxScale);
+      return [`LOAD r0, #${value}`];
     }
+    const helper = to === 'fixed' ? 'fx' : 'int';
+    this.warn(`${context}: ${from} value converted to ${to}`, loc, `write ${helper}(...) to convert explicitly`);
+    return this.foldCode(code, to === 'fixed' ? 'MUL' : 'DIV', this.fxScale)
+      ?? [...code, `LOAD r1, #${this.fxScale}`, `${to === 'fixed' ? 'MUL' : 'DIV'} r0, r1`];
+  }
 
-    if (Object.prototype.hasOwnProperty.call(this.consts, nameLower)) {
-      const scaled = floatToFx(this.consts[nameLower], this.fxScale);
-      const code = [`LOAD r0, #${scaled}`];
-      return [{ type: 'const', name: nameLower, value: scaled }, code];
+  // Type the operands of a binary operator (+ - * / or a relation) and the
+  // result. Mixed integer/fixed operands are brought to fixed, except where
+  // the integer is a plain factor: fixed * n, n * fixed and fixed / n are
+  // already fixed. A product or quotient of two fixed values compiles to
+  // FMUL/FDIV (`instr`), which rescale by fxScale, so both stay fixed.
+  // Operands are { node, code }.
+  typeOperands(op, left, right, loc) {
+    let { code: leftCode } = left;
+    let { code: rightCode } = right;
+    let lt = left.node.valueType;
+    let rt = right.node.valueType;
+    let instr = null;
+    let valueType = null;
+    if (lt && rt) {
+      const scaling = op === '*' || (op === '/' && lt === 'fixed');
+      if (lt !== rt && !scaling) {
+        const context = `mixed integer/fixed operands of '${op}'`;
+        if (lt === 'integer') {
+          leftCode = this.coerce(left.node, leftCode, 'fixed', loc, context);
+          lt = 'fixed';
+        } else {
+          rightCode = this.coerce(right.node, rightCode, 'fixed', loc, context);
+          rt = 'fixed';
+        }
+      }
+      if (lt === 'fixed' && rt === 'fixed') {
+        if (op === '*') instr = 'FMUL';
+        if (op === '/') instr = 'FDIV';
+      }
+      valueType = lt === 'fixed' || rt === 'fixed' ? 'fixed' : 'integer';
     }
+    return { leftCode, rightCode, instr, valueType };
+  }
 
-    throw new Error(`Unknown variable '${name}'`);
+  // Constant folding (-O1 and up). Values are computed the way the CPU
+  // would, with its word size, FMUL/FDIV rounding and math backend, and
+  // always exactly: folded operations never reach a neural unit. Anything
+  // the CPU might compute differently (division by zero, a value outside
+  // the machine word or beyond 2^53) is left to run time.
+
+  // The value `code` leaves in r0 when it is a single `LOAD r0, #k` of a
+  // foldable value, else null (always null without -O1).
+  constantOf(code) {
+    if (this.optimize < 1 || code.length !== 1) return null;
+    const m = /^LOAD r0, #(-?\d+)$/.exec(code[0]);
+    return m ? this.foldable(BigInt(m[1])) : null;
   }
 
-  if (tk.value === '(') {
-    this.eat('(');
-    const [exprAST, exprCode] = this.parseExpression();
-    this.eat(')');
-    return [exprAST, exprCode];
+  // `v` (number or BigInt) as a number if it can be folded, else null.
+  foldable(v) {
+    if (typeof v === 'number' && !Number.isSafeInteger(v)) return null;
+    const b = BigInt(v);
+    if (b > BigInt(Number.MAX_SAFE_INTEGER) || b < BigInt(Number.MIN_SAFE_INTEGER)) return null;
+    if (this.word !== null) {
+      const max = (1n << BigInt(this.word - 1)) - 1n;
+      if (b > max || b < -max - 1n) return null;
+    }
+    return Number(b) || 0;
+  }
+
+  // Compile-time `a instr b` (an ALU instruction, a relation or a binary
+  // math op), or null.
+  foldOp(instr, a, b) {
+    if ((instr === 'DIV' || instr === 'FDIV') && b === 0) return null;
+    switch (instr) {
+      case 'ADD': return this.foldable(a + b);
+      case 'SUB': return this.foldable(a - b);
+      case 'MUL': return this.foldable(a * b);
+      case 'DIV': return this.foldable(this.word === 64 ? floorDivBig(BigInt(a), BigInt(b)) : Math.floor(a / b));
+      case 'FMUL': return this.foldable(fxMul(a, b, this.fxScale, this.fxRound));
+      case 'FDIV': return this.foldable(fxDiv(a, b, this.fxScale, this.fxRound));
+      case 'SEQ': return a === b ? 1 : 0;
+      case 'SNE': return a !== b ? 1 : 0;
+      case 'SLT': return a < b ? 1 : 0;
+      case 'SLE': return a <= b ? 1 : 0;
+      case 'SGT': return a > b ? 1 : 0;
+      case 'SGE': return a >= b ? 1 : 0;
+      default: return this.foldable(MATH_IMPLS[this.mathImpl].fx2(instr, a, b, this.fxScale));
+    }
+  }
+
+  // `code` followed by `instr r0, <k>` folded into one LOAD, or null.
+  foldCode(code, instr, k) {
+    const a = this.constantOf(code);
+    const v = a === null ? null : this.foldOp(instr, a, k);
+    return v === null ? null : [`LOAD r0, #${v}`];
+  }
+
+  // Operands that compile to a single LOAD: literals, constants, variables.
+  isLeaf(node) {
+    return node.type === 'num' || node.type === 'name' || (node.type === 'neg' && !!this.literalValue(node));
+  }
+
+  // Whether evaluating `node` may call a function (which could assign any
+  // variable in scope).
+  hasCall(node) {
+    if (node.type === 'callExpr' && this.lookup(node.name)?.kind === 'proc') return true;
+    return [node.left, node.right, node.expr, ...(node.args ?? []), ...(node.indices ?? [])]
+      .some((child) => child && this.hasCall(child));
+  }
+
+  // Code for a binary operation (binop, relation, or a step of a binary
+  // intrinsic) with the result in r0. `left` is { node, code } (already
+  // generated); `type(left, right)` types the operands and returns
+  // { leftCode, rightCode, valueType, instr, tempInstr }: `instr r0, r1`
+  // computes the result from left in r0 and right in r1, `tempInstr` is the
+  // combineTemp() op for right in r0 and left in the temp. Returns
+  // { code, valueType }.
+  //
+  // The left value waits in a temp while the right one is computed. With -O2
+  // a leaf right operand is loaded straight into r1 instead, and a leaf left
+  // operand is loaded into r1 after the right one is computed, unless that
+  // calls a function. Constant operands are folded (-O1).
+  genOperator(left, rightNode, type) {
+    const registers = this.optimize >= 2;
+    const leafRight = registers && this.isLeaf(rightNode);
+    const rightFirst = registers && !leafRight && this.isLeaf(left.node) && !this.hasCall(rightNode);
+    const t = leafRight || rightFirst ? null : this.allocTemp();
+    const right = { node: rightNode, code: this.genExpr(rightNode) };
+    if (t) this.freeTemp();
+    const { leftCode, rightCode, valueType, instr, tempInstr } = type(left, right);
+
+    const b = this.constantOf(rightCode);
+    const folded = b === null ? null : this.foldCode(leftCode, instr, b);
+    if (folded) return { code: folded, valueType };
+
+    if (leafRight) {
+      const leaf = leafLoad(rightCode);
+      if (leaf) return { code: [...leftCode, ...leaf.pre, `LOAD r1, ${leaf.operand}`, `${instr} r0, r1`], valueType };
+    }
+    if (rightFirst) {
+      const leaf = leafLoad(leftCode);
+      if (leaf) {
+        const combine = this.combineTemp({ reg: 'r1' }, tempInstr);
+        return { code: [...rightCode, ...leaf.pre, `LOAD r1, ${leaf.operand}`, ...combine], valueType };
+      }
+      // A converted leaf: the right value waits in the temp instead.
+      const s = this.allocTemp();
+      this.freeTemp();
+      const { code, reg } = this.readTemp(s);
+      return { code: [...rightCode, ...this.saveTemp(s), ...leftCode, ...code, `${instr} r0, ${reg}`], valueType };
+    }
+    // (A converted leaf right operand gets its temp only now; it uses none itself.)
+    const s = t ?? this.allocTemp();
+    if (!t) this.freeTemp();
+    return { code: [...leftCode, ...this.saveTemp(s), ...rightCode, ...this.combineTemp(s, tempInstr)], valueType };
+  }
+
+  genBinop(node) {
+    const left = { node: node.left, code: this.genExpr(node.left) };
+    const { code, valueType } = this.genOperator(left, node.right, (l, r) => {
+      const typed = this.typeOperands(node.op, l, r, node.opLoc);
+      const instr = typed.instr ?? { '+': 'ADD', '-': 'SUB', '*': 'MUL', '/': 'DIV' }[node.op];
+      return { ...typed, instr, tempInstr: instr };
+    });
+    node.valueType = valueType;
+    return code;
+  }
+
+  // Relations leave 1 (true) or 0 (false) in r0. When the right value is in
+  // r0 and the left one in the temp, each relation compiles to its mirror
+  // image: left < right is computed as `SGT r0, temp` (right > left).
+  genRelation(node) {
+    const direct = {
+      '=': 'SEQ', '!=': 'SNE',
+      '<': 'SLT', '<=': 'SLE', '>': 'SGT', '>=': 'SGE',
+    };
+    const mirrored = {
+      '=': 'SEQ', '!=': 'SNE',
+      '<': 'SGT', '<=': 'SGE', '>': 'SLT', '>=': 'SLE',
+    };
+    const left = { node: node.left, code: this.genExpr(node.left) };
+    const { code } = this.genOperator(left, node.right, (l, r) => ({
+      ...this.typeOperands(node.op, l, r, node.opLoc),
+      instr: direct[node.op],
+      tempInstr: mirrored[node.op],
+    }));
+    node.valueType = 'integer';
+    return code;
+  }
+
+  // `and`/`or` short-circuit: a false left operand of `and` (true of `or`)
+  // is the result, so it jumps straight to the end. Both leave 1 or 0 in r0.
+  // A constant left operand decides at compile time (-O1): it is either
+  // the result or the right operand is.
+  genLogical(node) {
+    const leftCode = this.genExpr(node.left);
+    const rightCode = this.genExpr(node.right);
+    const endLabel = this.newLabel(node.type);
+    node.valueType = 'integer';
+    const k = this.constantOf(leftCode);
+    if (k !== null) {
+      if ((k === 0) === (node.type === 'and')) return [`LOAD r0, #${k === 0 ? 0 : 1}`];
+      const r = this.constantOf(rightCode);
+      if (r !== null) return [`LOAD r0, #${r === 0 ? 0 : 1}`];
+      return [...rightCode, ...this.toBoolean(node.right)];
+    }
+    return [
+      ...leftCode,
+      ...this.toBoolean(node.left),
+      `${node.type === 'and' ? 'JZ' : 'JNZ'} r0, ${endLabel}`,
+      ...rightCode,
+      ...this.toBoolean(node.right),
+      `${endLabel}:`,
+    ];
+  }
+
+  // Code turning the value of `node` (in r0) into 1/0, unless it already is one.
+  toBoolean(node) {
+    if (['relation', 'odd', 'not', 'and', 'or'].includes(node.type)) return [];
+    return ['LOAD r1, #0', 'SNE r0, r1'];
+  }
+
+  // The math intrinsics take fixed-point arguments; an integer is an error.
+  checkFixedArg(arg, name, loc) {
+    if (arg.valueType !== 'integer') return;
+    this.report(`${name}() expects a fixed-point argument, got an integer`, loc,
+      'convert with fx(...) or write a float literal such as 2.0');
+  }
+
+  // ident(...) in an expression: a call of a function visible in scope, a
+  // math intrinsic, or one of the fixed-point helpers
+  //   fx(expr)  => expr * fxScale
+  //   int(expr) => floor(expr / fxScale)
+  genCallExpr(node) {
+    const { name, args } = node;
+    const nameLower = String(name).toLowerCase();
+    const callee = this.lookup(name);
+    if (callee && callee.kind === 'proc') {
+      if (!callee.isFunction) this.report(`Procedure '${name}' cannot be used as a value`, node.loc);
+      // Live temporaries are saved before the arguments are pushed.
+      const { save, restore } = this.spillTemps();
+      const callCode = this.genCall(name, args, node.loc);
+      node.target = 'function';
+      node.valueType = callee.resultType;
+      return [...save, ...callCode, ...restore];
+    }
+    if (this.binaryIntrinsics[nameLower]) return this.genBinaryIntrinsic(node);
+
+    // Extra arguments are only checked (reported below, or with the unknown name).
+    const argCodes = args.map((a) => this.genExpr(a));
+    const exprCode = argCodes.length ? argCodes[0] : ['LOAD r0, #0'];
+    const argType = args.length ? args[0].valueType : null;
+    const helpers = ['fx', 'tofx', 'int', 'fromfx', 'unfx'];
+    if (args.length !== 1 && (this.intrinsics[nameLower] || helpers.includes(nameLower))) {
+      this.report(`${name}() expects 1 argument, got ${args.length}`, node.loc);
+    }
+
+    // Unary math intrinsics (fixed-point in, fixed-point out). Ops marked
+    // integerOk (abs) work on integers too and keep the argument's type.
+    const op = this.intrinsics[nameLower];
+    if (op) {
+      const { integerOk } = MATH_OPS[op];
+      if (!integerOk && args.length) this.checkFixedArg(args[0], name, node.loc);
+      node.target = op;
+      node.valueType = integerOk ? argType : 'fixed';
+      const k = args.length === 1 ? this.constantOf(exprCode) : null;
+      const v = k === null ? null : this.foldable(MATH_IMPLS[this.mathImpl].fx(op, k, this.fxScale));
+      if (v !== null) return [`LOAD r0, #${v}`];
+      return [...exprCode, `${op} r0`];
+    }
+
+    if (nameLower === 'fx' || nameLower === 'tofx') {
+      if (argType === 'fixed') this.warn(`${name}() of a value that is already fixed-point`, node.loc);
+      node.target = 'fx';
+      node.valueType = 'fixed';
+      return this.foldCode(exprCode, 'MUL', this.fxScale) ?? [...exprCode, `LOAD r1, #${this.fxScale}`, 'MUL r0, r1'];
+    }
+
+    if (nameLower === 'int' || nameLower === 'fromfx' || nameLower === 'unfx') {
+      if (argType === 'integer') this.warn(`${name}() of a value that is already an integer`, node.loc);
+      node.target = 'int';
+      node.valueType = 'integer';
+      return this.foldCode(exprCode, 'DIV', this.fxScale) ?? [...exprCode, `LOAD r1, #${this.fxScale}`, 'DIV r0, r1'];
+    }
+
+    const builtins = [...Object.keys(this.intrinsics), ...Object.keys(this.binaryIntrinsics), 'fx', 'int'];
+    this.report(`Unknown intrinsic '${name}(...)'`, node.loc,
+      this.suggest(name, [...builtins, ...this.visibleNames(['proc'])]) || `supported: ${builtins.join(', ')}`);
+    node.target = null;
+    node.valueType = null;
+    return exprCode;
+  }
+
+  // Compiled like a binop (see genOperator), one step per further argument.
+  // Variadic ops (min, max) fold over any number of arguments and accept
+  // integers (the result has the common type of the arguments); the others
+  // take exactly two fixed-point arguments.
+  genBinaryIntrinsic(node) {
+    const { name, args } = node;
+    const nameLower = String(name).toLowerCase();
+    const op = this.binaryIntrinsics[nameLower];
+    const { variadic } = MATH_OPS[op];
+    node.target = op;
+    if (!args.length) {
+      this.report(`${name}() expects ${variadic ? 'at least ' : ''}2 arguments, got 0`, node.loc);
+      node.valueType = variadic ? null : 'fixed';
+      return ['LOAD r0, #0'];
+    }
+    let left = { node: args[0], code: this.genExpr(args[0]) };
+    for (const arg of args.slice(1)) {
+      const { code, valueType } = this.genOperator(left, arg, (l, r) => ({
+        ...(variadic
+          ? this.typeOperands(nameLower, l, r, arg.loc)
+          : { leftCode: l.code, rightCode: r.code, valueType: 'fixed' }),
+        instr: op,
+        tempInstr: op,
+      }));
+      // The partial result stands in as the left operand of the next step.
+      left = { node: { type: 'callExpr', name, valueType }, code };
+    }
+    if (!variadic) args.forEach((a) => this.checkFixedArg(a, name, node.loc));
+    if (variadic ? args.length < 2 : args.length !== 2) {
+      this.report(`${name}() expects ${variadic ? 'at least ' : ''}2 arguments, got ${args.length}`, node.loc);
+      node.valueType = variadic ? args[0].valueType : 'fixed';
+      return left.code;
+    }
+    node.valueType = left.node.valueType;
+    return left.code;
   }
-  throw new Error('Unexpected token in factor: ' + JSON.stringify(tk));
-}
 }
 
 
 // Global storage for compiled PL/0 programs
 const PL0Programs = {};
 
+// Static memory layout of each compiled program:
+//   name -> { base, end, cells: [{ name, addr }], temps: [lo, hi] | null }
+// `base..end-1` holds its variables (and display cells in frame mode);
+// `temps` is the range of memory temporaries it uses, if any.
+const PL0Layouts = {};
+
+// Warnings of each program's last successful compile (diagnostics as in
+// PL0CompileError; render them with formatDiagnostics).
+const PL0Warnings = {};
+
+// AST of each compiled program, as built by PL0Parser and annotated by
+// PL0CodeGen (plain data, JSON-serializable).
+const PL0ASTs = {};
+
+// Source map of each compiled program:
+//   name -> { file, source, line, col, entries }
+// entries[i] is where instruction i of PL0Programs[name] comes from,
+// { file, line, col, length, kind } (kind: the statement type, or
+// 'program'/'procedure'/'function' for entry and exit code), or null for
+// code outside any (the jump over procedure bodies). `source` is the
+// program text, starting at `line`/`col` of `file`.
+const PL0SourceMaps = {};
+
+// Splits the source markers (PL0CodeGen.sourceMark) out of `code`:
+// { code, entries } with entries as in PL0SourceMaps.
+function extractSourceMap(code, file) {
+  const out = [];
+  const entries = [];
+  let at = null;
+  for (const line of code) {
+    const m = /^;@(\d+):(\d+):(\d+) (\w+)$/.exec(line);
+    if (m) {
+      at = { file, line: Number(m[1]), col: Number(m[2]), length: Number(m[3]), kind: m[4] };
+      continue;
+    }
+    out.push(line);
+    entries.push(at);
+  }
+  return { code: out, entries };
+}
+
+// Where instruction `index` of program `name` comes from, as
+// "file:line:col (kind)" plus the source line with the spot underlined;
+// null without a source map entry.
+function formatSourceLocation(name, index) {
+  const map = PL0SourceMaps[name];
+  const at = map && map.entries[index];
+  if (!at) return null;
+  return [`${at.file}:${at.line}:${at.col} (${at.kind})`, ...sourceSnippet(map.source, map.line, map.col, at)].join('\n');
+}
+
+// Readable report of a PL0RuntimeError: the message, the backtrace with each
+// frame's instruction and PL/0 statement, and the machine state.
+function formatRuntimeError(err) {
+  const lines = [`${err.name}: ${err.message}`, 'Backtrace (innermost first):'];
+  const rows = err.backtrace.map((f, i) => {
+    const name = frameName(f);
+    const at = f.location ? `${f.location.file}:${f.location.line}:${f.location.col} (${f.location.kind})` : '';
+    return [`#${i}`, name, `@${f.pointer}`, f.instruction, at];
+  });
+  const widths = [0, 1, 2, 3].map((c) => Math.max(...rows.map((r) => r[c].length)));
+  // Deep recursion: keep the innermost and outermost frames.
+  if (rows.length > 16) rows.splice(10, rows.length - 15, [`... ${rows.length - 15} more frames`, '', '', '', '']);
+  for (const r of rows) lines.push(`  ${r.map((v, c) => (c < 4 ? v.padEnd(widths[c], ' ') : v)).join('  ')}`.trimEnd());
+  lines.push(`Registers: ${err.regs.map((v, i) => `r${i}=${v}`).join(' ')}  sp=${err.sp} fp=${err.fp}`);
+  if (err.frame.cells.length) {
+    lines.push(`Frame stack [${err.frame.lo}..${err.frame.lo + err.frame.cells.length - 1}]: ${err.frame.cells.join(' ')}`);
+  }
+  const shown = err.stackTop.length < err.stackDepth ? `top ${err.stackTop.length} of ${err.stackDepth}` : `${err.stackDepth}`;
+  lines.push(`Data stack (${shown}, top last): [${err.stackTop.join(', ')}]`);
+  lines.push(`Steps: ${err.steps}`);
+  return lines.join('\n');
+}
+
+function formatMemoryMap(layouts = PL0Layouts) {
+  const rows = [];
+  for (const [name, l] of Object.entries(layouts)) {
+    if (l.end > l.base) {
+      rows.push({ lo: l.base, hi: l.end - 1, name, what: `vars: ${l.cells.map((c) => c.name).join(', ')}` });
+    }
+    if (l.temps) rows.push({ lo: l.temps[0], hi: l.temps[1], name, what: 'temporaries' });
+  }
+  rows.sort((a, b) => a.lo - b.lo || a.hi - b.hi);
+  const lines = ['Memory map:'];
+  for (const r of rows) {
+    const range = `${r.lo}..${r.hi}`.padStart(10, ' ');
+    lines.push(`${range}  ${r.name.padEnd(16, ' ')} ${r.what}`);
+  }
+  return lines.join('\n');
+}
+
+// Layouts where memory temporaries would land on declared variables, either
+// the program's own or those of another compiled program: the collision as a
+// message, or null.
+function layoutCollision(name, layout) {
+  const overlaps = (lo1, hi1, lo2, hi2) => lo1 <= hi2 && lo2 <= hi1;
+  const t = layout.temps;
+  if (t && t[0] < 0) return `Temporaries of '${name}' run below address 0 (${t[0]}..${t[1]})`;
+  for (const [other, l] of Object.entries({ ...PL0Layouts, [name]: layout })) {
+    if (other === name && l !== layout) continue; // replaced by this compile
+    if (t && l.end > l.base && overlaps(t[0], t[1], l.base, l.end - 1)) {
+      return `Temporaries of '${name}' (${t[0]}..${t[1]}) overlap variables of '${other}' (${l.base}..${l.end - 1})`;
+    }
+    if (other !== name && l.temps && layout.end > layout.base &&
+        overlaps(l.temps[0], l.temps[1], layout.base, layout.end - 1)) {
+      return `Variables of '${name}' (${layout.base}..${layout.end - 1}) overlap temporaries of '${other}' (${l.temps[0]}..${l.temps[1]})`;
+    }
+  }
+  return null;
+}
+
+// Options: fxScale, frames, tempBase, boundsCheck, plus `file`, `line` and
+// `col` (where programText starts in that file) for diagnostics. The machine
+// options fxScale, fxRound, mathImpl, word and overflow are checked as PL0CPU
+// checks them. Compile errors throw a PL0CompileError that lists all of them, as do
+// an invalid option and a memory layout collision; warnings are kept in
+// PL0Warnings and the (annotated) AST in PL0ASTs.
+//
+// Pipeline: tokenize -> PL0Parser (AST) -> PL0CodeGen (assembly).
 function compilePL0(programText, baseAddr = 0, options = {}) {
-  const tokens = tokenize(programText);
-  const parser = new PL0Parser(tokens, { fxScale: options.fxScale });
-  if (baseAddr !== 0) parser.nextVarAddr = baseAddr;
-  const [ast, code] = parser.parseProgram();
+  const file = options.file || '<input>';
+  const where = { file, source: programText, line: options.line, col: options.col };
+  const lexical = [];
+  const tokens = tokenize(programText, {
+    line: options.line,
+    col: options.col,
+    onError: (e) => lexical.push({ severity: 'error', file, ...e, hint: null }),
+  });
+  const parser = new PL0Parser(tokens, { ...where, diagnostics: lexical });
+  const ast = parser.parseProgram();
+  // Semantic checks run even after syntax errors, so one compile reports both.
+  const optimize = options.optimize ?? 0;
+  const optionError = ![0, 1, 2].includes(optimize)
+    ? `Unknown optimization level ${optimize} (expected 0, 1 or 2)`
+    : machineOptionError(options);
+  if (optionError) {
+    const d = { severity: 'error', message: optionError, file, line: options.line || 1, col: options.col || 1, length: 1, hint: null };
+    throw new PL0CompileError([d], formatDiagnostics([d]));
+  }
+  const gen = new PL0CodeGen({
+    ...where,
+    fxScale: options.fxScale,
+    frames: options.frames,
+    tempBase: options.tempBase,
+    boundsCheck: options.boundsCheck,
+    optimize,
+    fxRound: options.fxRound,
+    mathImpl: options.mathImpl,
+    word: options.word,
+    baseAddr,
+    diagnostics: parser.diagnostics,
+    eofLoc: parser.eofToken,
+  });
+  let code = gen.generate(ast);
   code.push('RET');
+  if (optimize >= 1) code = optimizeCode(code);
+  const sourceMap = extractSourceMap(code, file);
+  code = sourceMap.code;
+  const n = gen.tempCellsUsed;
+  const layout = {
+    base: baseAddr,
+    end: gen.nextVarAddr,
+    cells: gen.staticCells,
+    temps: n ? [gen.tempBase - n + 1, gen.tempBase] : null,
+  };
+  const collision = layoutCollision(ast.name, layout);
+  if (collision) {
+    const d = gen.makeDiagnostic('error', collision, ast.loc, 'move the programs apart (run_pl0.js: --baseMap, --baseStep)');
+    throw new PL0CompileError([d], `${formatDiagnostics([d], programText, options.line, options.col)}\n${formatMemoryMap({ ...PL0Layouts, [ast.name]: layout })}`);
+  }
+  PL0Layouts[ast.name] = layout;
+  PL0Warnings[ast.name] = gen.diagnostics;
+  PL0ASTs[ast.name] = ast;
+  PL0SourceMaps[ast.name] = { file, source: programText, line: options.line || 1, col: options.col || 1, entries: sourceMap.entries };
   PL0Programs[ast.name] = code;
   return code;
 }
@@ -1124,18 +3196,32 @@ function main() {
   const fxArg = argv.find((a) => a.startsWith('--fxScale='));
   const fxScale = fxArg ? Number(fxArg.split('=')[1]) : 65536;
 
-  // Compile demo programs using the same fxScale the CPU will use.
-  compilePL0(setElementSource, 0, { fxScale });
-  compilePL0(getElementSource, 0, { fxScale });
-  compilePL0(matrixTestSource, 20, { fxScale });
-  compilePL0(mathTestSource, 40, { fxScale });
   const useNeural = argv.includes('--neural');
   const useNarxMath = argv.includes('--narx-math');
   const progArg = argv.find((a) => a.startsWith('--program='));
   const programName = progArg ? progArg.split('=')[1] : 'matrixTest';
   const mixArg = argv.find((a) => a.startsWith('--mix='));
   const mix = mixArg ? Number(mixArg.split('=')[1]) : 1.0;
-
+  const implArg = argv.find((a) => a.startsWith('--math-impl='));
+  const mathImpl = implArg ? implArg.split('=')[1] : 'float';
+  const wordArg = argv.find((a) => a.startsWith('--word='));
+  const word = wordArg ? Number(wordArg.split('=')[1]) : null;
+  const ovfArg = argv.find((a) => a.startsWith('--overflow='));
+  const overflow = ovfArg ? ovfArg.split('=')[1] : 'wrap';
+  const roundArg = argv.find((a) => a.startsWith('--fx-round='));
+  const fxRound = roundArg ? roundArg.split('=')[1] : 'floor';
+  const optArg = argv.filter((a) => /^-O\d+$/.test(a)).pop();
+  const optimize = optArg ? Number(optArg.slice(2)) : 0;
+
+  // Compile demo programs with the fxScale (and arithmetic, for constant
+  // folding) the CPU will use.
+  const frames = argv.includes('--frames');
+  const boundsCheck = argv.includes('--bounds-check');
+  const compileOptions = { fxScale, frames, boundsCheck, optimize, fxRound, mathImpl, word };
+  compilePL0(setElementSource, 0, compileOptions);
+  compilePL0(getElementSource, 0, compileOptions);
+  compilePL0(matrixTestSource, 20, compileOptions);
+  compilePL0(mathTestSource, 40, compileOptions);
 
   let alu = null;
   let math = null;
@@ -1159,6 +3245,8 @@ function main() {
       fallbackAbsError: Number.isFinite(fallbackAbsError) ? fallbackAbsError : 2,
       // Match the manual PDF semantics for DIV.
       divDecode: 'floor',
+      fxScale: Number.isFinite(fxScale) ? fxScale : 65536,
+      fxRound,
     });
 
     // If you use the MLP architecture (or want to refine DIV for the linear one), train.
@@ -1204,6 +3292,10 @@ function main() {
     neuralALU: alu,
     neuralMath: math,
     fxScale: Number.isFinite(fxScale) ? fxScale : 65536,
+    fxRound,
+    mathImpl,
+    word,
+    overflow,
   });
   cpu.addInstructions([
     `PL0CALL ${programName}`,
@@ -1213,6 +3305,12 @@ function main() {
 
   console.log('Final memory state (addresses 30-42):', cpu.memory.slice(30, 42));
   console.log('Final data stack:', cpu.dataStack);
+
+  if (cpu.overflowStats.enabled) {
+    const o = cpu.overflowStats;
+    console.log(`Overflow (${o.word}-bit, ${o.mode}):`, o.flag ? 'yes' : 'no');
+    if (o.flag) console.log('Overflow count:', o.count, o.ops);
+  }
   if (cpu.neuralStats?.enabled) {
     console.log('Neural ALU ops executed:', cpu.neuralStats.ops);
     console.log('Neural ALU fallbacks:', cpu.neuralStats.fallbacks);
@@ -1234,11 +3332,27 @@ function main() {
     }
     console.log('Neural NARX-math avg |predNorm-exactNorm|:', avgAbs);
   }
+
+  if (argv.includes('--math-report')) {
+    const { mathImplReport, formatMathReport } = require('./cordic_math');
+    console.log(formatMathReport(mathImplReport({ fxScale: cpu.fxScale }), cpu.fxScale));
+  }
 }
 
 if (require.main === module) {
-  main();
+  try {
+    main();
+  } catch (err) {
+    if (err instanceof PL0RuntimeError) console.error(formatRuntimeError(err));
+    else if (err instanceof PL0CompileError) console.error(err.message);
+    else throw err;
+    process.exit(1);
+  }
 }
 
 // Allow reuse as a module (e.g. for tests/experiments).
-module.exports = { PL0CPU, tokenize, PL0Parser, compilePL0, PL0Programs };
+module.exports = {
+  PL0CPU, tokenize, PL0Pass, PL0Parser, PL0CodeGen, compilePL0, PL0Programs, PL0Layouts, PL0Warnings, PL0ASTs,
+  PL0SourceMaps, formatMemoryMap, PL0CompileError, PL0RuntimeError, formatDiagnostics, formatSourceLocation,
+  formatRuntimeError,
+};
@@ -0,0 +1,484 @@
+// pl0_lint.js
+//
+// Static checks over compiled PL/0 programs, run by `run_pl0.js --lint`. They
+// work on the annotated ASTs compilePL0 keeps in PL0ASTs; every finding is a
+// warning:
+//   - a variable read before it is assigned (definitely assigned through
+//     if/while/for/case; a call assigns whatever the procedure may assign)
+//   - variables, constants and procedures that are declared but never used
+//     (a variable that is only ever assigned is reported as never read)
+//   - if/while/repeat conditions that are constant
+//   - statements that can never run: a branch a constant condition rules out,
+//     anything after a loop that never ends
+//   - division by a literal zero (or a constant expression that is zero)
+//   - data stack underflow: a `pop` with nothing pushed before it in a
+//     program no other program calls, and a `call` of a procedure or program
+//     that pops more values than the caller has pushed
+//
+// The data stack depth is followed statically: pushes, pops, external call
+// arguments and the net effect of every procedure and program called. Where
+// it stops being known (branches or loop bodies that leave different
+// depths, recursion) it is not checked any further in that block.
+//
+// Usage:
+//   const { lintPrograms } = require('./pl0_lint');
+//   const findings = lintPrograms(PL0ASTs, { file });   // name -> diagnostics
+//   node pl0_lint.js          (lints a small program with a bit of everything)
+
+const { PL0Pass } = require('./pl0_cpu_sim');
+
+// Built-in real constants (as in PL0CodeGen).
+const BUILTIN_CONSTS = { pi: Math.PI, tau: Math.PI * 2, e: Math.E };
+
+// Lints one program. `effects` maps other program names to their data stack
+// effect (see run()); `entry` says the program is run directly rather than
+// called by another program, so its stack starts out empty.
+class PL0Linter extends PL0Pass {
+  constructor(program, options = {}) {
+    super(options);
+    this.program = program;
+    this.effects = options.effects ?? {};
+    this.entry = options.entry ?? true;
+  }
+
+  // Lint the program. Returns its data stack effect { min, net }: the lowest
+  // depth it pops down to and the depth it leaves, relative to where it
+  // started (net null when unknown).
+  run() {
+    this.scope = null;
+    this.symbols = [];
+    this.procs = []; // procedures being linted, innermost last
+    this.openScope();
+    const effect = this.lintBlock(this.program.block, [], this.entry);
+    for (const sym of this.symbols) this.checkUsed(sym);
+    this.diagnostics.sort((a, b) => a.line - b.line || a.col - b.col);
+    return effect;
+  }
+
+  openScope() {
+    this.scope = { parent: this.scope, symbols: new Map() };
+  }
+
+  closeScope() {
+    this.scope = this.scope.parent;
+  }
+
+  // Symbols: { kind: 'var' | 'param' | 'const' | 'proc', name, loc, reads, writes }
+  // plus `value` (constants) and `assigns`/`effect` (procedures).
+  declare(name, sym) {
+    if (!this.scope.symbols.has(name)) this.scope.symbols.set(name, sym);
+    this.symbols.push(sym);
+    return sym;
+  }
+
+  lookup(name) {
+    for (let s = this.scope; s; s = s.parent) {
+      if (s.symbols.has(name)) return s.symbols.get(name);
+    }
+    return null;
+  }
+
+  // Walks the declarations and the statement of a block. The block's own
+  // variables are the ones checked for reads before assignment; `absolute`
+  // means the stack depth is known to start at 0 (an entry program).
+  lintBlock(block, params, absolute) {
+    for (const decl of block.constDecls) {
+      this.declare(decl.ident, { kind: 'const', name: decl.ident, loc: decl.loc, value: this.constDeclValue(decl.value), reads: 0 });
+    }
+    for (const p of params) this.declare(p.name, { kind: 'param', name: p.name, loc: p.loc, reads: 0, writes: 0 });
+    const tracked = new Set();
+    for (const decl of block.varDecls) {
+      tracked.add(this.declare(decl.ident, { kind: 'var', name: decl.ident, loc: decl.loc, reads: 0, writes: 0 }));
+    }
+    for (const proc of block.procDecls) this.lintProc(proc);
+    const st = { assigned: new Set(), tracked, depth: 0, min: 0, absolute, reachable: true, reported: false };
+    this.statement(block.statement, st);
+    return { min: st.min, net: st.depth };
+  }
+
+  // The procedure is declared before its body is walked (so it can call
+  // itself); its effect stays unknown until the walk is done.
+  lintProc(proc) {
+    const sym = this.declare(proc.name, {
+      kind: 'proc', name: proc.name, loc: proc.loc, isFunction: proc.type === 'function',
+      reads: 0, assigns: new Set(), effect: null,
+    });
+    this.procs.push(sym);
+    this.openScope();
+    sym.effect = this.lintBlock(proc.block, proc.params, false);
+    this.closeScope();
+    this.procs.pop();
+  }
+
+  constDeclValue(node) {
+    if (node.kind !== 'ident') return node.sign * node.value;
+    const sym = this.lookup(node.value);
+    if (sym) {
+      sym.reads++;
+      return sym.kind === 'const' && sym.value !== null ? node.sign * sym.value : null;
+    }
+    const builtin = BUILTIN_CONSTS[String(node.value).toLowerCase()];
+    return builtin === undefined ? null : node.sign * builtin;
+  }
+
+  checkUsed(sym) {
+    if (sym.reads) return;
+    if (sym.kind === 'var') {
+      if (sym.writes) this.warn(`'${sym.name}' is assigned but never read`, sym.loc);
+      else this.warn(`'${sym.name}' is declared but never used`, sym.loc);
+    } else if (sym.kind === 'const') {
+      this.warn(`constant '${sym.name}' is declared but never used`, sym.loc);
+    } else if (sym.kind === 'proc') {
+      this.warn(`${sym.isFunction ? 'function' : 'procedure'} '${sym.name}' is never called`, sym.loc);
+    }
+  }
+
+  // Flow state `st`: variables definitely assigned, the data stack depth
+  // (relative to the block's start; null once unknown) and the lowest depth
+  // reached, whether the code is reachable and, if not, whether that has
+  // been reported yet.
+  branch(st, reachable = st.reachable) {
+    return { ...st, assigned: new Set(st.assigned), reachable, reported: !reachable && st.reported };
+  }
+
+  // Join the states of alternative paths into `st`.
+  merge(st, paths) {
+    const live = paths.filter((p) => p.reachable);
+    const from = live.length ? live : paths;
+    st.assigned = new Set([...from[0].assigned].filter((s) => from.every((p) => p.assigned.has(s))));
+    const depths = new Set(from.map((p) => p.depth));
+    st.depth = depths.size === 1 ? from[0].depth : null;
+    st.min = Math.min(...from.map((p) => p.min));
+    st.reachable = live.length > 0;
+    st.reported = !st.reachable && paths.some((p) => p.reported);
+  }
+
+  // After a loop body that may run any number of times: its assignments do
+  // not count, and the depth is only known if the body leaves it unchanged.
+  afterLoop(st, body) {
+    st.min = Math.min(st.min, body.min);
+    if (body.depth !== st.depth) st.depth = null;
+  }
+
+  // Code after a loop that never ends cannot run.
+  neverEnds(st) {
+    if (!st.reachable) return;
+    st.reachable = false;
+    st.reported = false;
+  }
+
+  statement(node, st) {
+    if (!st.reachable && !st.reported && !['compound', 'noop'].includes(node.type)) {
+      this.warn('unreachable statement', node.loc);
+      st.reported = true;
+    }
+    switch (node.type) {
+      case 'assign':
+        (node.indices ?? []).forEach((e) => this.expr(e, st));
+        this.expr(node.expr, st);
+        this.assign(node.ident, st);
+        break;
+      case 'call': {
+        node.args.forEach((e) => this.expr(e, st));
+        const sym = this.lookup(node.ident);
+        if (sym && sym.kind === 'proc') {
+          this.call(sym, node, st);
+        } else {
+          // Another program: the arguments stay on the data stack for it.
+          if (st.depth !== null) st.depth += node.args.length;
+          this.applyEffect(st, this.effects[node.ident] ?? null, `'${node.ident}'`, node.loc);
+        }
+        break;
+      }
+      case 'if': {
+        const k = this.condition(node.condition, st);
+        const thenSt = this.branch(st, st.reachable && k !== false);
+        this.statement(node.thenPart, thenSt);
+        const elseSt = this.branch(st, st.reachable && k !== true);
+        if (node.elsePart) this.statement(node.elsePart, elseSt);
+        this.merge(st, [thenSt, elseSt]);
+        break;
+      }
+      case 'while': {
+        const k = this.condition(node.condition, st);
+        const body = this.branch(st, st.reachable && k !== false);
+        this.statement(node.body, body);
+        this.afterLoop(st, body);
+        if (k === true) this.neverEnds(st);
+        break;
+      }
+      case 'repeat': {
+        const before = st.depth;
+        node.body.forEach((s) => this.statement(s, st));
+        const k = this.condition(node.condition, st);
+        if (k !== true && st.depth !== before) st.depth = null;
+        if (k === false) this.neverEnds(st);
+        break;
+      }
+      // With constant bounds the number of passes is known.
+      case 'for': {
+        this.expr(node.from, st);
+        this.expr(node.to, st);
+        this.assign(node.ident, st);
+        const from = this.constant(node.from);
+        const to = this.constant(node.to);
+        const passes = from === null || to === null ? null : Math.max(0, Math.floor(node.down ? from - to : to - from) + 1);
+        const body = this.branch(st, st.reachable && passes !== 0);
+        this.statement(node.body, body);
+        if (!passes) {
+          this.afterLoop(st, body);
+        } else {
+          const net = st.depth === null || body.depth === null ? null : body.depth - st.depth;
+          st.assigned = body.assigned;
+          st.min = Math.min(st.min, body.min, net === null ? 0 : body.min + (passes - 1) * net);
+          st.depth = net === null ? null : st.depth + passes * net;
+        }
+        break;
+      }
+      case 'case': {
+        this.expr(node.expr, st);
+        const paths = node.arms.map((arm) => {
+          const path = this.branch(st);
+          this.statement(arm.statement, path);
+          return path;
+        });
+        const elseSt = this.branch(st);
+        if (node.elsePart) this.statement(node.elsePart, elseSt);
+        this.merge(st, [...paths, elseSt]);
+        break;
+      }
+      case 'compound':
+        node.statements.forEach((s) => this.statement(s, st));
+        break;
+      case 'push':
+        this.read(node.ident, node.loc, st);
+        (node.indices ?? []).forEach((e) => this.expr(e, st));
+        if (st.depth !== null) st.depth++;
+        break;
+      case 'pop':
+        (node.indices ?? []).forEach((e) => this.expr(e, st));
+        if (st.depth !== null) {
+          if (st.absolute && st.reachable && st.depth === 0) {
+            this.warn(`'pop ${node.ident}' underflows the data stack: nothing is pushed before it`, node.loc,
+              'push a value first, or call this program from one that does');
+            st.depth = null;
+          } else {
+            st.depth--;
+            st.min = Math.min(st.min, st.depth);
+          }
+        }
+        this.assign(node.ident, st);
+        break;
+      case 'peek':
+        this.read(node.addr.name, node.addr.loc, st);
+        this.assign(node.dest.name, st);
+        break;
+      case 'poke':
+        this.read(node.addr.name, node.addr.loc, st);
+        this.read(node.val.name, node.val.loc, st);
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Reads of a condition; returns true/false when it is constant (and says so).
+  condition(node, st) {
+    this.expr(node, st);
+    const k = this.constant(node);
+    if (k === null) return null;
+    this.warn(`condition is always ${k ? 'true' : 'false'}`, node.loc);
+    return k !== 0;
+  }
+
+  // A call of procedure or function `sym` from `at` (a call statement or
+  // callExpr): it may assign what the procedure assigns, and moves the data
+  // stack by the procedure's effect. Calls made from inside a procedure are
+  // folded into that procedure's summary.
+  call(sym, at, st) {
+    sym.reads++;
+    for (const v of sym.assigns) st.assigned.add(v);
+    for (const p of this.procs) sym.assigns.forEach((v) => p.assigns.add(v));
+    this.applyEffect(st, sym.effect, `'${sym.name}'`, at.loc);
+  }
+
+  applyEffect(st, effect, what, loc) {
+    if (st.depth === null) return;
+    if (!effect || effect.net === null) {
+      st.depth = null;
+      return;
+    }
+    if (st.absolute && st.reachable && st.depth + effect.min < 0) {
+      const n = -effect.min;
+      this.warn(`${what} pops ${n} value(s) from the data stack, but only ${st.depth} ${st.depth === 1 ? 'is' : 'are'} pushed before this call`, loc);
+      st.depth = null;
+      return;
+    }
+    st.min = Math.min(st.min, st.depth + effect.min);
+    st.depth += effect.net;
+  }
+
+  read(name, loc, st) {
+    const sym = this.lookup(name);
+    if (!sym || sym.kind === 'proc') return;
+    sym.reads++;
+    if (sym.kind !== 'var' || !st.reachable || !st.tracked.has(sym) || st.assigned.has(sym) || sym.warned) return;
+    this.warn(`'${name}' is read before it is assigned`, loc);
+    sym.warned = true;
+  }
+
+  assign(name, st) {
+    const sym = this.lookup(name);
+    if (!sym || sym.kind === 'proc' || sym.kind === 'const') return; // a function result, or an error
+    sym.writes++;
+    st.assigned.add(sym);
+    for (const p of this.procs) p.assigns.add(sym);
+  }
+
+  expr(node, st) {
+    switch (node.type) {
+      case 'name': this.read(node.name, node.loc, st); break;
+      case 'index':
+        node.indices.forEach((e) => this.expr(e, st));
+        this.read(node.name, node.loc, st);
+        break;
+      case 'callExpr': {
+        node.args.forEach((e) => this.expr(e, st));
+        const sym = this.lookup(node.name);
+        if (sym && sym.kind === 'proc') this.call(sym, node, st);
+        break;
+      }
+      case 'neg': case 'not': case 'odd': this.expr(node.expr, st); break;
+      case 'binop':
+        this.expr(node.left, st);
+        this.expr(node.right, st);
+        if (node.op === '/' && this.constant(node.right) === 0) this.warn('division by zero', node.right.loc);
+        break;
+      case 'relation': case 'and': case 'or':
+        this.expr(node.left, st);
+        this.expr(node.right, st);
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Value of an expression made of literals and constants only, else null.
+  // Values are real numbers (fixed-point ones unscaled); integer division
+  // floors, as on the CPU.
+  constant(node) {
+    const sub = (n) => this.constant(n);
+    switch (node.type) {
+      case 'num': return node.value;
+      case 'name': {
+        const sym = this.lookup(node.name);
+        if (sym) return sym.kind === 'const' ? sym.value : null;
+        return BUILTIN_CONSTS[String(node.name).toLowerCase()] ?? null;
+      }
+      case 'neg': { const v = sub(node.expr); return v === null ? null : -v; }
+      case 'not': { const v = sub(node.expr); return v === null ? null : Number(v === 0); }
+      case 'odd': { const v = sub(node.expr); return v === null ? null : Number(Math.abs(v) % 2 === 1); }
+      case 'binop': case 'relation': case 'and': case 'or': {
+        const a = sub(node.left);
+        const b = sub(node.right);
+        if (a === null || b === null) return null;
+        switch (node.op ?? node.type) {
+          case '+': return a + b;
+          case '-': return a - b;
+          case '*': return a * b;
+          case '/': return b === 0 ? null : (node.valueType === 'integer' ? Math.floor(a / b) : a / b);
+          case '=': return Number(a === b);
+          case '!=': return Number(a !== b);
+          case '<': return Number(a < b);
+          case '<=': return Number(a <= b);
+          case '>': return Number(a > b);
+          case '>=': return Number(a >= b);
+          case 'and': return Number(a !== 0 && b !== 0);
+          case 'or': return Number(a !== 0 || b !== 0);
+          default: return null;
+        }
+      }
+      default: return null;
+    }
+  }
+}
+
+// Names of the programs called (`call name` of another program) anywhere in `node`.
+function externalCalls(node, out = new Set()) {
+  if (Array.isArray(node)) {
+    node.forEach((n) => externalCalls(n, out));
+  } else if (node && typeof node === 'object') {
+    if (node.type === 'call' && node.external) out.add(node.ident);
+    Object.values(node).forEach((v) => externalCalls(v, out));
+  }
+  return out;
+}
+
+// Lint every program of `asts` (name -> program AST, e.g. PL0ASTs) and return
+// name -> warnings (diagnostics as in PL0CompileError). Options: `file`.
+//
+// A program's data stack effect feeds the checks at the calls of it, so the
+// programs are linted repeatedly until every effect has reached its callers;
+// the last round's findings are returned.
+function lintPrograms(asts, options = {}) {
+  const programs = Object.values(asts);
+  const called = new Set();
+  for (const p of programs) externalCalls(p.block).forEach((name) => called.add(name));
+  const effects = {};
+  let findings = {};
+  for (let round = 0; round <= programs.length; round++) {
+    findings = {};
+    for (const p of programs) {
+      const linter = new PL0Linter(p, { file: options.file, effects, entry: !called.has(p.name) });
+      effects[p.name] = linter.run();
+      findings[p.name] = linter.diagnostics;
+    }
+  }
+  return findings;
+}
+
+module.exports = { PL0Linter, lintPrograms, externalCalls };
+
+if (require.main === module) {
+  const { compilePL0, PL0ASTs, formatDiagnostics } = require('./pl0_cpu_sim');
+  const sources = [`
+program takeTwo;
+var a, b;
+begin
+  pop a;
+  pop b;
+  a := a + b;
+  push a;
+end.
+`, `
+program lintDemo;
+const limit = 10, unused = 3;
+var i, sum, never, scratch, x;
+procedure helper;
+begin
+  sum := 0;
+end;
+procedure forgotten;
+begin
+end;
+begin
+  i := sum + 1;
+  call helper;
+  x := x + 1;
+  scratch := 5;
+  while 0 = 1 do i := i + 1;
+  if limit > 5 then i := 1; else i := 2;
+  sum := sum / (limit - 10);
+  push i;
+  call takeTwo;
+  while 1 do i := i + 1;
+  push sum;
+end.
+`];
+  for (const src of sources) compilePL0(src, 0, { file: 'demo.pl0' });
+  const findings = lintPrograms(PL0ASTs, { file: 'demo.pl0' });
+  for (const [name, list] of Object.entries(findings)) {
+    console.log(`\n=== ${name} ===`);
+    console.log(list.length ? formatDiagnostics(list) : 'no findings');
+  }
+}
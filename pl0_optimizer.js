@@ -0,0 +1,148 @@
+// pl0_optimizer.js
+//
+// Peephole optimizer for compiled PL/0 assembly, run by compilePL0 from -O1
+// on. Constant folding, dead branches and the -O2 register forms are done
+// earlier, by PL0CodeGen while it walks the AST; this pass cleans up the
+// instruction list it produces.
+//
+// Rewrites, repeated until none applies:
+//   - store-to-load forwarding: `STORE rA, [m]` directly followed by
+//     `LOAD rB, [m]` keeps the value in a register (`MOV rB, rA`, or nothing
+//     when rB is rA); `MOV rX, rX` is dropped
+//   - jump threading: a jump to a label that is followed by `JMP L` goes
+//     straight to L
+//   - a JMP to a label right after it is dropped
+//   - unreachable code after JMP/RET/HALT, up to the next label, is dropped
+//   - labels no jump or call refers to are dropped (the CPU spends a step on
+//     every label it passes)
+//
+// Lines starting with ';' are comments (the code generator's source
+// markers, see PL0CodeGen.sourceMark): they are kept, never instructions and
+// never in the way of a rewrite.
+//
+// Usage:
+//   const { optimizeCode, countInstructions } = require('./pl0_optimizer');
+//   node pl0_optimizer.js          before/after listing of a small program
+
+const isLabel = (line) => line.endsWith(':');
+const isComment = (line) => line.startsWith(';');
+
+// Label operand of a jump or call, or null.
+function jumpTarget(line) {
+  const m = /^(?:JMP|CALL) (\S+)$|^(?:JZ|JNZ) r\d+, (\S+)$/.exec(line);
+  return m ? (m[1] ?? m[2]) : null;
+}
+
+// Instructions in `code`, labels and comments not counted.
+function countInstructions(code) {
+  return code.filter((line) => !isLabel(line) && !isComment(line)).length;
+}
+
+function forwardStores(code) {
+  const out = [];
+  for (const line of code) {
+    let prev = out.length - 1;
+    while (prev >= 0 && isComment(out[prev])) prev--;
+    const store = /^STORE (r\d+), (\[\S+\])$/.exec(out[prev] ?? '');
+    const load = /^LOAD (r\d+), (\[\S+\])$/.exec(line);
+    if (store && load && store[2] === load[2]) {
+      if (load[1] !== store[1]) out.push(`MOV ${load[1]}, ${store[1]}`);
+      continue;
+    }
+    if (/^MOV (r\d+), \1$/.test(line)) continue;
+    out.push(line);
+  }
+  return out;
+}
+
+function threadJumps(code) {
+  const labelAt = new Map();
+  code.forEach((line, i) => {
+    if (isLabel(line)) labelAt.set(line.slice(0, -1), i);
+  });
+  // Follow JMP chains from `label`; a cycle stops where it closes.
+  const resolve = (label) => {
+    const seen = new Set();
+    while (!seen.has(label) && labelAt.has(label)) {
+      seen.add(label);
+      let i = labelAt.get(label);
+      while (i < code.length && (isLabel(code[i]) || isComment(code[i]))) i++;
+      const jmp = /^JMP (\S+)$/.exec(code[i] ?? '');
+      if (!jmp) break;
+      label = jmp[1];
+    }
+    return label;
+  };
+  return code.map((line) => {
+    const target = jumpTarget(line);
+    if (!target || line.startsWith('CALL')) return line;
+    const to = resolve(target);
+    return to === target ? line : line.replace(/\S+$/, to);
+  });
+}
+
+function dropJumpsToNext(code) {
+  return code.filter((line, i) => {
+    const jmp = /^JMP (\S+)$/.exec(line);
+    if (!jmp) return true;
+    for (let j = i + 1; j < code.length && (isLabel(code[j]) || isComment(code[j])); j++) {
+      if (code[j] === `${jmp[1]}:`) return false;
+    }
+    return true;
+  });
+}
+
+function dropUnreachable(code) {
+  const out = [];
+  let dead = false;
+  for (const line of code) {
+    if (isLabel(line)) dead = false;
+    if (!dead || isComment(line)) out.push(line);
+    if (/^(JMP \S+|RET|HALT)$/.test(line)) dead = true;
+  }
+  return out;
+}
+
+function dropUnusedLabels(code) {
+  const used = new Set(code.map(jumpTarget).filter(Boolean));
+  return code.filter((line) => !isLabel(line) || used.has(line.slice(0, -1)));
+}
+
+// Optimized copy of the instruction list `code` (a whole program: it is
+// entered at index 0 and its labels are not referenced from outside).
+function optimizeCode(code) {
+  let cur = code;
+  for (;;) {
+    const next = dropUnusedLabels(dropUnreachable(dropJumpsToNext(threadJumps(forwardStores(cur)))));
+    if (next.length === cur.length && next.every((line, i) => line === cur[i])) return next;
+    cur = next;
+  }
+}
+
+module.exports = { optimizeCode, countInstructions };
+
+if (require.main === module) {
+  const { compilePL0, PL0CPU } = require('./pl0_cpu_sim');
+  const source = `
+program optDemo;
+const n = 10;
+var i, s: integer; x: fixed;
+begin
+  s := 0;
+  x := 1.0 * 2.0 + sqrt(4.0);
+  for i := 1 to n do
+    if n > 5 then s := s + i * 2; else s := s - 1;
+  push s;
+  push x;
+end.
+`;
+  for (const optimize of [0, 1, 2]) {
+    const code = compilePL0(source, 0, { optimize });
+    const cpu = new PL0CPU(4, 256, 256);
+    cpu.addInstructions(['PL0CALL optDemo', 'HALT']);
+    cpu.execute();
+    console.log(`\n=== -O${optimize}: ${countInstructions(code)} instructions, ${cpu.steps} steps,`,
+      `stack ${JSON.stringify(cpu.dataStack)} ===`);
+    code.forEach((line, i) => console.log(String(i).padStart(4, ' ') + '  ' + line));
+  }
+}
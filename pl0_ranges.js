@@ -0,0 +1,797 @@
+// pl0_ranges.js
+//
+// Value-range analysis over compiled PL/0 programs, run by
+// `run_pl0.js --ranges`. It is an abstract interpretation of the annotated
+// ASTs in PL0ASTs: every value is an interval [lo, hi] of what the register
+// holds (fixed-point values encoded, as on the CPU), followed through
+// assignments, branches (narrowed by their conditions), loops (widened to a
+// fixpoint, then narrowed), procedure and function calls (analyzed at each
+// call with the ranges of the arguments) and the data stack between programs.
+//
+// It predicts the range of every variable over the run and warns about
+//   - math intrinsics whose argument can leave the input interval of
+//     DEFAULT_OP_SPECS: the ops with a domain clamp their input to it, the
+//     others are only checked with neural math on (the NARX net is trained
+//     on that interval); sin/cos/tan reduce their argument and are not checked
+//   - arithmetic that can overflow the machine word (--word), or 2^53
+//     without one, and literals that do not fit the word
+//   - divisions whose divisor range contains zero
+//
+// Each finding is reported once per expression, with the hull of the ranges
+// seen in every context it was analyzed in. Only bounded ranges are checked:
+// nothing is flagged for values with no known bound (peek, a pop of an
+// unknown data stack, recursion beyond MAX_RECURSION, a loop the analysis
+// could only widen).
+//
+// Usage:
+//   const { analyzeRanges, formatRanges } = require('./pl0_ranges');
+//   const result = analyzeRanges(PL0ASTs, { file, fxScale, word, overflow, frames, neural });
+//   // name -> { warnings: [diagnostic], vars: [{ name, owner, valueType, lo, hi }] }
+//   node pl0_ranges.js        (analyzes a small program)
+
+const { PL0Pass } = require('./pl0_cpu_sim');
+const { MATH_OPS, refMathFx, refMathFx2, floatToFx } = require('./fixed_math');
+const { DEFAULT_OP_SPECS } = require('./neural_math_narx');
+const { externalCalls } = require('./pl0_lint');
+
+// Built-in real constants (as in PL0CodeGen).
+const BUILTIN_CONSTS = { pi: Math.PI, tau: Math.PI * 2, e: Math.E };
+// A procedure called while it is already this many calls deep (or at all,
+// once the budget is spent) is not analyzed again: whatever it may assign
+// becomes unknown.
+const MAX_RECURSION = 32;
+// Loop passes followed one by one (see loop()) and recursive calls
+// analyzed, over the whole analysis.
+const BUDGET = 20000;
+
+// Intervals are { lo, hi } (lo <= hi, bounds may be infinite).
+const range = (lo, hi) => ({ lo, hi });
+const point = (v) => range(v, v);
+const ZERO = point(0);
+const UNKNOWN = range(-Infinity, Infinity);
+const isUnknown = (r) => r.lo === -Infinity && r.hi === Infinity;
+const bounded = (r) => Number.isFinite(r.lo) && Number.isFinite(r.hi);
+const join = (a, b) => range(Math.min(a.lo, b.lo), Math.max(a.hi, b.hi));
+const within = (a, b) => a.lo >= b.lo && a.hi <= b.hi;
+// Bounds that moved go to infinity, so every loop reaches a fixpoint.
+const widen = (old, next) => range(next.lo < old.lo ? -Infinity : old.lo, next.hi > old.hi ? Infinity : old.hi);
+
+function hull(values) {
+  if (values.some(Number.isNaN)) return UNKNOWN;
+  return range(Math.min(...values), Math.max(...values));
+}
+
+// A zero factor stays zero, even against an infinite bound.
+const times = (a, b) => (a === 0 || b === 0 ? 0 : a * b);
+
+const add = (a, b) => range(a.lo + b.lo, a.hi + b.hi);
+const sub = (a, b) => range(a.lo - b.hi, a.hi - b.lo);
+const mul = (a, b) => hull([times(a.lo, b.lo), times(a.lo, b.hi), times(a.hi, b.lo), times(a.hi, b.hi)]);
+
+// a / s for a positive scale s, rounded outwards.
+const scaleDown = (a, s) => range(Math.floor(a.lo / s), Math.ceil(a.hi / s));
+
+// Floored a / b over the nonzero part of b (unknown when b is only zero);
+// `exact` false rounds the upper bound up (FDIV's rounding modes).
+function divide(a, b, exact) {
+  const parts = [];
+  if (b.lo <= -1) parts.push(range(b.lo, Math.min(b.hi, -1)));
+  if (b.hi >= 1) parts.push(range(Math.max(b.lo, 1), b.hi));
+  if (!parts.length) return UNKNOWN;
+  const q = hull(parts.flatMap((p) => [a.lo / p.lo, a.lo / p.hi, a.hi / p.lo, a.hi / p.hi]));
+  return range(Math.floor(q.lo), exact ? Math.floor(q.hi) : Math.ceil(q.hi));
+}
+
+// The truth of `a op b`: [1, 1], [0, 0] or [0, 1] when it depends.
+function compare(op, a, b) {
+  const yes = point(1);
+  const no = point(0);
+  const maybe = range(0, 1);
+  switch (op) {
+    case '<': return a.hi < b.lo ? yes : (a.lo >= b.hi ? no : maybe);
+    case '<=': return a.hi <= b.lo ? yes : (a.lo > b.hi ? no : maybe);
+    case '>': return compare('<', b, a);
+    case '>=': return compare('<=', b, a);
+    case '=':
+      if (a.lo === a.hi && b.lo === b.hi && a.lo === b.lo) return yes;
+      return a.hi < b.lo || b.hi < a.lo ? no : maybe;
+    default: {
+      const eq = compare('=', a, b);
+      return eq.lo === eq.hi ? point(1 - eq.lo) : maybe;
+    }
+  }
+}
+
+const truthRange = (r) => (r.lo > 0 || r.hi < 0 ? point(1) : (r.lo === 0 && r.hi === 0 ? ZERO : range(0, 1)));
+
+const NEGATED = { '<': '>=', '<=': '>', '>': '<=', '>=': '<', '=': '!=', '!=': '=' };
+const MIRRORED = { '<': '>', '<=': '>=', '>': '<', '>=': '<=', '=': '=', '!=': '!=' };
+
+// Analysis states: { vars: Map(symbol -> interval), stack: [interval] or
+// null once the data stack is unknown }; null is a state no run reaches.
+// Variables missing from `vars` still hold their initial 0.
+function cloneState(st) {
+  return st && { vars: new Map(st.vars), stack: st.stack && [...st.stack] };
+}
+
+function joinStates(a, b, combine = join) {
+  if (!a || !b) return cloneState(a ?? b);
+  const vars = new Map();
+  for (const [sym, r] of a.vars) vars.set(sym, combine(r, b.vars.get(sym) ?? ZERO));
+  for (const [sym, r] of b.vars) if (!a.vars.has(sym)) vars.set(sym, combine(ZERO, r));
+  const sameDepth = a.stack && b.stack && a.stack.length === b.stack.length;
+  return { vars, stack: sameDepth ? a.stack.map((r, i) => combine(r, b.stack[i])) : null };
+}
+
+function leqState(a, b) {
+  if (!a) return true;
+  if (!b) return false;
+  for (const [sym, r] of a.vars) if (!within(r, b.vars.get(sym) ?? ZERO)) return false;
+  for (const [sym, r] of b.vars) if (!a.vars.has(sym) && !within(ZERO, r)) return false;
+  if (!b.stack) return true;
+  return !!a.stack && a.stack.length === b.stack.length && a.stack.every((r, i) => within(r, b.stack[i]));
+}
+
+// Analyzes every program of `asts` that no other program calls, following
+// calls into the others. Options: file, fxScale, word (16/32/64 or null),
+// overflow ('wrap', 'saturate' or 'trap', as on the CPU), frames (locals
+// start at 0 on every call) and neural (NARX math on).
+class PL0RangeAnalyzer extends PL0Pass {
+  constructor(asts, options = {}) {
+    super(options);
+    this.asts = asts;
+    this.fxScale = options.fxScale ?? 65536;
+    this.word = options.word ?? null;
+    this.overflow = options.overflow ?? 'wrap';
+    this.frames = !!options.frames;
+    this.neural = !!options.neural;
+    this.quiet = 0; // > 0 while a loop is iterated to its fixpoint
+    this.budget = BUDGET;
+    this.findings = new Map();
+    this.symbols = [];
+    this.scopes = new Map(); // program name -> scope
+    this.active = []; // procedures and programs being analyzed, innermost last
+    this.program = null;
+    this.scope = null;
+  }
+
+  // Returns name -> { warnings, vars } for every program.
+  run() {
+    const programs = Object.values(this.asts);
+    const called = new Set();
+    for (const p of programs) externalCalls(p.block).forEach((name) => called.add(name));
+    for (const p of programs) {
+      this.program = p.name;
+      const scope = this.newScope(null);
+      this.declareBlock(p.block, scope, p.name);
+      this.scopes.set(p.name, scope);
+    }
+    for (const p of programs) {
+      if (!called.has(p.name)) this.runProgram(p, { vars: new Map(), stack: [] });
+    }
+
+    const result = {};
+    for (const p of programs) {
+      const vars = this.symbols.filter((sym) => sym.program === p.name).map((sym) => {
+        const r = sym.range && (sym.valueType === 'fixed' ? range(sym.range.lo / this.fxScale, sym.range.hi / this.fxScale) : sym.range);
+        return {
+          name: sym.isArray ? `${sym.name}[]` : sym.name, owner: sym.owner === p.name ? null : sym.owner,
+          valueType: sym.valueType, lo: r ? r.lo : null, hi: r ? r.hi : null,
+        };
+      });
+      const warnings = [...this.findings.values()].filter((f) => f.program === p.name)
+        .map((f) => this.makeDiagnostic('warning', f.message(f.range), f.at, typeof f.hint === 'function' ? f.hint(f.range) : f.hint))
+        .sort((a, b) => a.line - b.line || a.col - b.col);
+      result[p.name] = { warnings, vars };
+    }
+    return result;
+  }
+
+  // --- symbols ---
+
+  newScope(parent) {
+    return { parent, symbols: new Map(), vars: [] };
+  }
+
+  // Symbols: { kind: 'const', value } (encoded), { kind: 'var', valueType,
+  // isArray, owner, range } (range: hull of every value assigned) and
+  // { kind: 'proc', node, scope, params, result } (result: the function
+  // result's key in the state). Every block is declared once, up front.
+  declareBlock(block, scope, owner) {
+    for (const decl of block.constDecls) {
+      scope.symbols.set(decl.ident, { kind: 'const', value: this.constDeclValue(decl.value, scope) });
+    }
+    for (const decl of block.varDecls) this.declareVar(scope, decl.ident, decl.valueType, !!decl.dims, owner);
+    for (const proc of block.procDecls) {
+      const sym = { kind: 'proc', node: proc, scope: this.newScope(scope), result: null };
+      if (!scope.symbols.has(proc.name)) scope.symbols.set(proc.name, sym);
+      sym.params = proc.params.map((p) => this.declareVar(sym.scope, p.name, p.valueType, false, proc.name));
+      if (proc.type === 'function') sym.result = { kind: 'result', name: proc.name };
+      this.declareBlock(proc.block, sym.scope, proc.name);
+    }
+  }
+
+  declareVar(scope, name, valueType, isArray, owner) {
+    const sym = { kind: 'var', name, valueType: valueType ?? null, isArray, owner, program: this.program, range: null };
+    if (!scope.symbols.has(name)) scope.symbols.set(name, sym);
+    scope.vars.push(sym);
+    this.symbols.push(sym);
+    return sym;
+  }
+
+  // Encoded value of a constValue node, as PL0CodeGen computes it.
+  constDeclValue(node, scope) {
+    if (node.kind === 'number') return node.sign * node.value;
+    if (node.kind === 'float') return floatToFx(node.sign * node.value, this.fxScale);
+    for (let s = scope; s; s = s.parent) {
+      const sym = s.symbols.get(node.value);
+      if (sym) return sym.kind === 'const' ? node.sign * sym.value : 0;
+    }
+    const builtin = BUILTIN_CONSTS[String(node.value).toLowerCase()];
+    return builtin === undefined ? 0 : floatToFx(node.sign * builtin, this.fxScale);
+  }
+
+  lookup(name) {
+    for (let s = this.scope; s; s = s.parent) {
+      if (s.symbols.has(name)) return s.symbols.get(name);
+    }
+    return null;
+  }
+
+  // --- findings ---
+
+  // Record a finding of `kind` at `at` for the range `r`; the message (and
+  // the hint, if it is a function too) is built from the hull of all ranges
+  // recorded there. Nothing is recorded
+  // while a loop is still being iterated.
+  flag(kind, at, r, message, hint = null) {
+    if (this.quiet) return;
+    const key = `${this.program}|${at.line}:${at.col}|${kind}`;
+    const f = this.findings.get(key);
+    if (f) f.range = join(f.range, r);
+    else this.findings.set(key, { program: this.program, at, range: r, message, hint });
+  }
+
+  // A bound for messages: fixed-point values decoded.
+  fmt(r, valueType) {
+    const num = (v) => {
+      if (!Number.isFinite(v)) return v < 0 ? '-inf' : 'inf';
+      return valueType === 'fixed' ? String(Number((v / this.fxScale).toFixed(4))) : String(v);
+    };
+    return `[${num(r.lo)}, ${num(r.hi)}]`;
+  }
+
+  // Every value the machine word holds (null without a word).
+  wordRange() {
+    return this.word ? range(-(2 ** (this.word - 1)), 2 ** (this.word - 1) - 1) : null;
+  }
+
+  // `r`, the result of `what` at `at`, checked against the machine word (or
+  // 2^53 without one). An overflowing result can then be anything the word
+  // holds. Nothing is checked when an operand has no bound.
+  checkWord(r, at, what, ...operands) {
+    if (!operands.every(bounded)) return r;
+    const max = this.word ? 2 ** (this.word - 1) - 1 : Number.MAX_SAFE_INTEGER;
+    const min = this.word ? -(2 ** (this.word - 1)) : -max;
+    if (r.lo >= min && r.hi <= max) return r;
+    this.flag('overflow', at, r, (x) => (this.word
+      ? `${what} may overflow the ${this.word}-bit word (range ${this.fmt(x)})`
+      : `${what} may exceed 2^53 and lose precision (range ${this.fmt(x)})`));
+    return this.wordRange() ?? r;
+  }
+
+  checkDivisor(b, node, valueType) {
+    if (!bounded(b) || b.lo > 0 || b.hi < 0) return;
+    this.flag('divisor', node.loc, b, (x) => (x.lo === 0 && x.hi === 0
+      ? 'division by zero'
+      : `divisor may be zero (range ${this.fmt(x, valueType)})`));
+  }
+
+  // Argument `which` ('in' or 'in2') of intrinsic `op`, called as `name`,
+  // against its interval in DEFAULT_OP_SPECS. Without neural math only an
+  // argument the reference clamps (outside the op's domain) is flagged; a
+  // bound where the op is not finite (the logs at 0) is open.
+  checkDomain(op, name, r, node, which) {
+    const spec = MATH_OPS[op];
+    if (spec.periodic || !bounded(r)) return;
+    const domain = which === 'in' ? spec.domain : spec.domain2;
+    const openLo = !!domain && spec.arity === 1 && !Number.isFinite(spec.fn(domain[0]));
+    const model = DEFAULT_OP_SPECS[op];
+    const lo = model[`${which}Lo`];
+    const hi = model[`${which}Hi`];
+    const clamped = (x) => !!domain && (x.lo < domain[0] || (openLo && x.lo <= domain[0]) || x.hi > domain[1]);
+    const real = range(r.lo / this.fxScale, r.hi / this.fxScale);
+    if (!clamped(real) && !(this.neural && (real.lo < lo || real.hi > hi))) return;
+    this.flag('domain', node.loc, r, (x) => {
+      const outside = x.hi / this.fxScale < lo || x.lo / this.fxScale > hi;
+      return `${name}() argument ${outside ? 'is' : 'may be'} outside [${lo}, ${hi}] (range ${this.fmt(x, 'fixed')})`;
+    }, (x) => {
+      if (!clamped(range(x.lo / this.fxScale, x.hi / this.fxScale))) return 'the NARX coprocessor is only trained on that interval';
+      return openLo ? `${name}() of x <= ${domain[0]} saturates` : `the argument is clamped to [${domain[0]}, ${domain[1]}]`;
+    });
+  }
+
+  // A value loaded as an immediate, checked against the machine word and
+  // fitted to it the way the CPU's LOAD does (a trapping load never
+  // completes, so any word value is assumed after it).
+  literal(v, node) {
+    if (!this.word) return point(v);
+    const min = -(2 ** (this.word - 1));
+    const max = 2 ** (this.word - 1) - 1;
+    if (v >= min && v <= max) return point(v);
+    this.flag('literal', node.loc, point(v), () => `value ${v} does not fit the ${this.word}-bit word`,
+      node.valueType === 'fixed' ? `fixed-point values are scaled by fxScale (${this.fxScale})` : null);
+    if (this.overflow === 'saturate') return point(v < min ? min : max);
+    if (this.overflow === 'trap') return range(min, max);
+    return point(Number(BigInt.asIntN(this.word, BigInt(Math.trunc(v)))));
+  }
+
+  // --- state ---
+
+  get(st, sym) {
+    return st.vars.get(sym) ?? ZERO;
+  }
+
+  // Assign `r` to a variable (array elements are one summary range, which
+  // only grows).
+  store(st, sym, r) {
+    const value = sym.isArray ? join(this.get(st, sym), r) : r;
+    st.vars.set(sym, value);
+    if (!this.quiet) sym.range = sym.range ? join(sym.range, value) : value;
+  }
+
+  // A variable named by `node` (a name node or an assignment target), or null.
+  variable(name) {
+    const sym = this.lookup(name);
+    return sym && sym.kind === 'var' ? sym : null;
+  }
+
+  // --- programs and calls ---
+
+  runProgram(program, st) {
+    const outer = { program: this.program, scope: this.scope };
+    this.program = program.name;
+    this.scope = this.scopes.get(program.name);
+    this.active.push(program);
+    if (this.frames) this.scope.vars.forEach((v) => st.vars.set(v, ZERO));
+    const after = this.exec(program.block.statement, st);
+    this.active.pop();
+    Object.assign(this, outer);
+    return after;
+  }
+
+  // `call name(args)` of another program: the arguments go on the data stack.
+  callProgram(node, st) {
+    const values = node.args.map((a) => this.value(a, st));
+    if (st.stack) st.stack.push(...values);
+    const program = this.asts[node.ident];
+    if (!program || this.active.includes(program)) {
+      st.stack = null;
+      return st;
+    }
+    return this.runProgram(program, st);
+  }
+
+  // Call of a procedure or function: its body is analyzed with the argument
+  // ranges. Returns { state, result } (state null if the call never returns).
+  callProc(sym, args, st) {
+    const values = args.map((a) => this.value(a, st));
+    const depth = this.active.filter((p) => p === sym).length;
+    if ((depth && --this.budget < 0) || depth >= MAX_RECURSION) {
+      for (let s = sym.scope; s; s = s.parent) s.vars.forEach((v) => st.vars.set(v, UNKNOWN));
+      st.stack = null;
+      return { state: st, result: UNKNOWN };
+    }
+    // With frames every call has its own locals: the caller's come back.
+    const locals = [...sym.scope.vars, ...(sym.result ? [sym.result] : [])];
+    const saved = this.frames ? locals.map((v) => this.get(st, v)) : null;
+    if (this.frames) locals.forEach((v) => st.vars.set(v, ZERO));
+    const outer = this.scope;
+    this.scope = sym.scope;
+    this.active.push(sym);
+    sym.params.forEach((p, i) => this.store(st, p, values[i] ?? UNKNOWN));
+    const after = this.exec(sym.node.block.statement, st);
+    this.active.pop();
+    this.scope = outer;
+    if (!after) return { state: null, result: UNKNOWN };
+    const result = sym.result ? this.get(after, sym.result) : ZERO;
+    if (saved) locals.forEach((v, i) => after.vars.set(v, saved[i]));
+    return { state: after, result };
+  }
+
+  // --- statements ---
+
+  // State after `node` runs in `st` (which it may change).
+  exec(node, st) {
+    if (!st || !node) return st;
+    switch (node.type) {
+      case 'assign': {
+        node.indices?.forEach((i) => this.value(i, st));
+        const r = this.value(node.expr, st);
+        const sym = this.lookup(node.ident);
+        if (sym && sym.kind === 'var') this.store(st, sym, r);
+        else if (sym && sym.result) st.vars.set(sym.result, r);
+        return st;
+      }
+      case 'call': {
+        if (node.external) return this.callProgram(node, st);
+        const sym = this.lookup(node.ident);
+        if (!sym || sym.kind !== 'proc') return st;
+        return this.callProc(sym, node.args, st).state;
+      }
+      case 'if': {
+        this.value(node.condition, st);
+        const yes = this.exec(node.thenPart, this.refine(st, node.condition, true));
+        const no = this.exec(node.elsePart, this.refine(st, node.condition, false));
+        return joinStates(yes, no);
+      }
+      case 'while': {
+        const stay = (s) => {
+          this.value(node.condition, cloneState(s));
+          return this.refine(s, node.condition, true);
+        };
+        return this.loop(st, stay, (s) => this.refine(s, node.condition, false), (s) => this.exec(node.body, s));
+      }
+      case 'repeat': {
+        const body = (s) => {
+          const end = node.body.reduce((acc, stmt) => this.exec(stmt, acc), s);
+          if (end) this.value(node.condition, cloneState(end));
+          return end;
+        };
+        const first = body(st);
+        return this.loop(first, (s) => this.refine(s, node.condition, false), (s) => this.refine(s, node.condition, true), body);
+      }
+      case 'for': {
+        const from = this.value(node.from, st);
+        const to = this.value(node.to, st);
+        const sym = this.variable(node.ident);
+        if (!sym) return st;
+        this.store(st, sym, from);
+        const [stay, leave] = node.down ? ['>=', '<'] : ['<=', '>'];
+        return this.loop(st, (s) => this.narrowVar(s, sym, stay, to), (s) => this.narrowVar(s, sym, leave, to), (s) => {
+          const end = this.exec(node.body, s);
+          if (end) this.store(end, sym, add(this.get(end, sym), point(node.down ? -1 : 1)));
+          return end;
+        });
+      }
+      case 'case': {
+        this.value(node.expr, st);
+        // No arm matching is a way through too.
+        let out = this.exec(node.elsePart, cloneState(st));
+        for (const arm of node.arms) out = joinStates(out, this.exec(arm.statement, cloneState(st)));
+        return out;
+      }
+      case 'compound':
+        return node.statements.reduce((acc, stmt) => this.exec(stmt, acc), st);
+      case 'push': {
+        const r = this.value(node.indices ? { type: 'index', name: node.ident, indices: node.indices } : { type: 'name', name: node.ident }, st);
+        if (st.stack) st.stack.push(r);
+        return st;
+      }
+      case 'pop': {
+        node.indices?.forEach((i) => this.value(i, st));
+        const r = st.stack && st.stack.length ? st.stack.pop() : UNKNOWN;
+        const sym = this.variable(node.ident);
+        if (sym) this.store(st, sym, r);
+        return st;
+      }
+      case 'peek': {
+        this.value(node.addr, st);
+        const sym = this.variable(node.dest.name);
+        if (sym) this.store(st, sym, UNKNOWN);
+        return st;
+      }
+      case 'poke':
+        this.value(node.addr, st);
+        this.value(node.val, st);
+        return st;
+      default:
+        return st;
+    }
+  }
+
+  // State after a loop: `stay` and `leave` narrow a state at the head to
+  // the runs that go into the body and that leave, `body` is one pass (from
+  // the narrowed state back to the head). While the ranges decide the
+  // condition the passes are followed one by one (while BUDGET lasts); from
+  // the first undecided head on the loop is solved as a fixpoint.
+  loop(entry, stay, leave, body) {
+    let head = entry;
+    while (head && this.budget > 0) {
+      const into = stay(head);
+      const out = leave(head);
+      if (!into) return out;
+      if (out) break;
+      this.budget--;
+      head = body(into);
+    }
+    if (!head) return null;
+    const fixed = this.fixpoint(head, (h) => body(stay(h)));
+    body(stay(cloneState(fixed)));
+    return leave(fixed);
+  }
+
+  // State at the head of a loop: the least fixpoint of
+  // head = entry ⊔ round(head), where round(head) is the state one pass of
+  // the loop leaves. Widened from the third pass on, then narrowed twice.
+  fixpoint(entry, round) {
+    this.quiet++;
+    let head = cloneState(entry);
+    for (let i = 0; i < 100; i++) {
+      const next = joinStates(entry, round(cloneState(head)));
+      if (leqState(next, head)) break;
+      head = joinStates(head, next, i < 2 ? join : widen);
+    }
+    for (let i = 0; i < 2; i++) head = joinStates(entry, round(cloneState(head)));
+    this.quiet--;
+    return head;
+  }
+
+  // `st` narrowed to the runs in which `cond` is `truth`; null if there are
+  // none. Relations narrow the scalar variables they compare.
+  refine(st, cond, truth) {
+    if (!st) return null;
+    switch (cond.type) {
+      case 'not':
+        return this.refine(st, cond.expr, !truth);
+      case 'and':
+      case 'or':
+        if ((cond.type === 'and') === truth) {
+          return this.refine(this.refine(st, cond.left, truth), cond.right, truth);
+        }
+        return joinStates(this.refine(st, cond.left, truth), this.refine(st, cond.right, truth));
+      case 'relation': {
+        const op = truth ? cond.op : NEGATED[cond.op];
+        const a = this.peekValue(cond.left, st);
+        const b = this.peekValue(cond.right, st);
+        if (compare(op, a, b).hi === 0) return null;
+        let out = cloneState(st);
+        const left = this.scalar(cond.left);
+        const right = this.scalar(cond.right);
+        if (left) out = this.narrowVar(out, left, op, b);
+        if (right) out = this.narrowVar(out, right, MIRRORED[op], a);
+        return out;
+      }
+      default: {
+        const k = truthRange(this.peekValue(cond, st));
+        return k.lo === k.hi && k.lo !== Number(truth) ? null : cloneState(st);
+      }
+    }
+  }
+
+  // A scalar variable compared as it is (not converted), or null.
+  scalar(node) {
+    if (node.type !== 'name' || node.converted) return null;
+    const sym = this.variable(node.name);
+    return sym && !sym.isArray ? sym : null;
+  }
+
+  // `st` with `sym` narrowed to the values that satisfy `sym op r`; null if none do.
+  narrowVar(st, sym, op, r) {
+    if (!st) return null;
+    let { lo, hi } = this.get(st, sym);
+    switch (op) {
+      case '<': hi = Math.min(hi, r.hi - 1); break;
+      case '<=': hi = Math.min(hi, r.hi); break;
+      case '>': lo = Math.max(lo, r.lo + 1); break;
+      case '>=': lo = Math.max(lo, r.lo); break;
+      case '=': lo = Math.max(lo, r.lo); hi = Math.min(hi, r.hi); break;
+      default:
+        if (r.lo === r.hi && lo === r.lo) lo++;
+        if (r.lo === r.hi && hi === r.hi) hi--;
+    }
+    if (lo > hi) return null;
+    const out = cloneState(st);
+    out.vars.set(sym, range(lo, hi));
+    return out;
+  }
+
+  // --- expressions ---
+
+  // Range of an expression evaluated in `st` without side effects or findings.
+  peekValue(node, st) {
+    this.quiet++;
+    const r = this.value(node, cloneState(st));
+    this.quiet--;
+    return r;
+  }
+
+  typeOf(node) {
+    return node.converted ?? node.valueType;
+  }
+
+  // Range of `node` as the code uses it (after an implicit conversion).
+  value(node, st) {
+    const r = this.evaluate(node, st);
+    if (node.converted === 'fixed') return this.checkWord(mul(r, point(this.fxScale)), node.loc, 'conversion to fixed', r);
+    if (node.converted === 'integer') return range(Math.floor(r.lo / this.fxScale), Math.floor(r.hi / this.fxScale));
+    return r;
+  }
+
+  evaluate(node, st) {
+    switch (node.type) {
+      case 'num':
+        return this.literal(node.kind === 'int' ? node.value : floatToFx(node.value, this.fxScale), node);
+      case 'name': {
+        const sym = this.lookup(node.name);
+        if (sym && sym.kind === 'var') return this.get(st, sym);
+        if (sym && sym.kind === 'const') return this.literal(sym.value, node);
+        if (sym) return UNKNOWN;
+        const builtin = BUILTIN_CONSTS[String(node.name).toLowerCase()];
+        return builtin === undefined ? UNKNOWN : this.literal(floatToFx(builtin, this.fxScale), node);
+      }
+      case 'index': {
+        node.indices.forEach((i) => this.value(i, st));
+        const sym = this.variable(node.name);
+        return sym ? this.get(st, sym) : UNKNOWN;
+      }
+      case 'neg': {
+        const r = this.value(node.expr, st);
+        return range(-r.hi, -r.lo);
+      }
+      case 'not': {
+        const t = truthRange(this.value(node.expr, st));
+        return range(1 - t.hi, 1 - t.lo);
+      }
+      case 'odd': {
+        const r = this.value(node.expr, st);
+        return r.lo === r.hi && Number.isFinite(r.lo) ? point(Math.abs(r.lo) % 2) : range(0, 1);
+      }
+      case 'and':
+      case 'or': {
+        const a = truthRange(this.value(node.left, st));
+        const b = truthRange(this.value(node.right, st));
+        return node.type === 'and' ? range(Math.min(a.lo, b.lo), Math.min(a.hi, b.hi)) : range(Math.max(a.lo, b.lo), Math.max(a.hi, b.hi));
+      }
+      case 'relation':
+        return compare(node.op, this.value(node.left, st), this.value(node.right, st));
+      case 'binop':
+        return this.binop(node, st);
+      case 'callExpr':
+        return this.callExpr(node, st);
+      default:
+        return UNKNOWN;
+    }
+  }
+
+  binop(node, st) {
+    const a = this.value(node.left, st);
+    const b = this.value(node.right, st);
+    const fixed = this.typeOf(node.left) === 'fixed' && this.typeOf(node.right) === 'fixed';
+    const at = node.opLoc ?? node.loc;
+    switch (node.op) {
+      case '+': return this.checkWord(add(a, b), at, "'+'", a, b);
+      case '-': return this.checkWord(sub(a, b), at, "'-'", a, b);
+      case '*': return this.checkWord(fixed ? scaleDown(mul(a, b), this.fxScale) : mul(a, b), at, "'*'", a, b);
+      case '/':
+        this.checkDivisor(b, node.right, this.typeOf(node.right));
+        if (isUnknown(b)) return UNKNOWN;
+        // Division by zero only: the quotient is not known beyond the word.
+        if (b.lo === 0 && b.hi === 0) return this.wordRange() ?? UNKNOWN;
+        return this.checkWord(divide(fixed ? mul(a, point(this.fxScale)) : a, b, !fixed), at, "'/'", a, b);
+      default:
+        return UNKNOWN;
+    }
+  }
+
+  callExpr(node, st) {
+    const { args } = node;
+    const s = this.fxScale;
+    switch (node.target) {
+      case 'function': {
+        const sym = this.lookup(node.name);
+        const { state, result } = this.callProc(sym, args, st);
+        if (state) Object.assign(st, state);
+        return result;
+      }
+      case 'fx': {
+        const r = args.length ? this.value(args[0], st) : ZERO;
+        return this.checkWord(mul(r, point(s)), node.loc, 'fx()', r);
+      }
+      case 'int': {
+        const r = args.length ? this.value(args[0], st) : ZERO;
+        return range(Math.floor(r.lo / s), Math.floor(r.hi / s));
+      }
+      case null:
+      case undefined:
+        args.forEach((a) => this.value(a, st));
+        return UNKNOWN;
+      default:
+        break;
+    }
+    const op = node.target;
+    const spec = MATH_OPS[op];
+    const rs = args.map((a) => this.value(a, st));
+    if (!rs.length) return ZERO;
+    if (spec.arity === 1) {
+      const [r] = rs;
+      this.checkDomain(op, node.name, r, args[0], 'in');
+      if (spec.periodic && r.lo !== r.hi) return range(floatToFx(spec.range[0], s), floatToFx(spec.range[1], s));
+      const ys = [refMathFx(op, r.lo, s), refMathFx(op, r.hi, s)];
+      // abs and cosh are the ops not monotonic on their whole input.
+      if ((op === 'FABS' || op === 'FCOSH') && r.lo < 0 && r.hi > 0) ys.push(refMathFx(op, 0, s));
+      return hull(ys);
+    }
+    if (spec.variadic) {
+      const pick = op === 'FMIN' ? Math.min : Math.max;
+      return rs.reduce((a, b) => range(pick(a.lo, b.lo), pick(a.hi, b.hi)));
+    }
+    if (rs.length !== 2) return UNKNOWN;
+    const [a, b] = rs;
+    this.checkDomain(op, node.name, a, args[0], 'in');
+    this.checkDomain(op, node.name, b, args[1], 'in2');
+    switch (op) {
+      case 'FPOW':
+        // Monotonic in each argument: the extremes are at the corners.
+        return hull([refMathFx2(op, a.lo, b.lo, s), refMathFx2(op, a.lo, b.hi, s),
+          refMathFx2(op, a.hi, b.lo, s), refMathFx2(op, a.hi, b.hi, s)]);
+      case 'FHYPOT': {
+        const mag = (r) => range(r.lo > 0 ? r.lo : (r.hi < 0 ? -r.hi : 0), Math.max(-r.lo, r.hi));
+        const ma = mag(a);
+        const mb = mag(b);
+        return range(refMathFx2(op, ma.lo, mb.lo, s), refMathFx2(op, ma.hi, mb.hi, s));
+      }
+      case 'FMOD': {
+        // |a mod b| < |b|, with the sign of a (and never beyond a itself).
+        const m = Math.max(-b.lo, b.hi);
+        return range(a.lo < 0 ? Math.max(a.lo, -m) : 0, a.hi > 0 ? Math.min(a.hi, m) : 0);
+      }
+      default:
+        return range(floatToFx(-Math.PI, s), floatToFx(Math.PI, s));
+    }
+  }
+}
+
+// Analyze the programs of `asts` (name -> program AST, e.g. PL0ASTs; compile
+// them with the same fxScale, word and frames settings) and return
+// name -> { warnings, vars }. Variable ranges are real values for fixed
+// variables and null for variables never assigned; `owner` is the procedure
+// a variable belongs to (null: the program).
+function analyzeRanges(asts, options = {}) {
+  return new PL0RangeAnalyzer(asts, options).run();
+}
+
+// The variable ranges of `result` as text, one program after the other.
+function formatRanges(result) {
+  const bound = (v) => (Number.isFinite(v) ? String(Number(v.toFixed(4))) : (v < 0 ? '-inf' : 'inf'));
+  const lines = [];
+  for (const [name, { vars }] of Object.entries(result)) {
+    lines.push(`${name}:`);
+    if (!vars.length) lines.push('  (no variables)');
+    const width = Math.max(0, ...vars.map((v) => (v.owner ? v.owner.length + 1 : 0) + v.name.length));
+    for (const v of vars) {
+      const label = (v.owner ? `${v.owner}.${v.name}` : v.name).padEnd(width);
+      const type = (v.valueType ?? 'untyped').padEnd(7);
+      lines.push(`  ${label}  ${type}  ${v.lo === null ? '(never assigned)' : `[${bound(v.lo)}, ${bound(v.hi)}]`}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+module.exports = { PL0RangeAnalyzer, analyzeRanges, formatRanges };
+
+if (require.main === module) {
+  const { compilePL0, PL0ASTs, formatDiagnostics } = require('./pl0_cpu_sim');
+  const source = `
+program rangeDemo;
+var i, n, big: integer; x, y, r: fixed;
+begin
+  n := 0;
+  x := 0.0;
+  for i := 1 to 40 do
+  begin
+    x := x + 10.0;
+    n := n + i;
+  end;
+  y := sqrt(x);
+  r := ln(y - 20.0);
+  big := n * n * n;
+  if i > 0 then r := r / (x - 400.0);
+  y := exp(x / 40.0);
+end.
+`;
+  compilePL0(source, 0, { word: 32 });
+  const result = analyzeRanges(PL0ASTs, { word: 32 });
+  console.log(formatRanges(result));
+  console.log(formatDiagnostics(result.rangeDemo.warnings, source));
+}
@@ -5,19 +5,44 @@
 //
 // Usage:
 //   node run_pl0.js <file.pl0> [--entry=name]
-//                  [--fxScale=65536] [--maxSteps=1000000]
-//                  [--dump-asm] [--dump-mem=lo:hi]
+//                  [--fxScale=65536] [--maxSteps=1000000] [--frames] [--bounds-check]
+//                  [-O0|-O1|-O2] [--opt-report]
+//                  [--dump-asm] [--dump-ast] [--dump-mem=lo:hi] [--mem-map] [--lint] [--ranges]
+//                  [--trace]
+//                  [--math-impl=float|cordic] [--math-report]
+//                  [--word=16|32|64] [--overflow=wrap|saturate|trap]
+//                  [--fx-round=floor|nearest-even|toward-zero]
 //                  [--neural ...] [--narx-math ...]
 //
 // Examples:
 //   node run_pl0.js examples/hello_stack.pl0 --entry=helloStack
 //   node run_pl0.js examples/fixedpoint_area.pl0 --entry=fixedpointArea --dump-mem=0:32
 //   node run_pl0.js examples/trig_chain.pl0 --entry=trigChain --narx-math --train-math
+//   node run_pl0.js examples/trig_chain.pl0 --entry=trigChain --math-impl=cordic --math-report
+//   node run_pl0.js examples/recursion.pl0 --entry=recursion --frames
+//   node run_pl0.js examples/matrix_calls.pl0 --entry=matrixCalls --bounds-check
+//   node run_pl0.js examples/recursion.pl0 --dump-ast > recursion.ast.json
+//   node run_pl0.js examples/matrix_calls.pl0 --entry=matrixCalls -O2 --opt-report
+//   node run_pl0.js examples/matrix_calls.pl0 --lint
+//   node run_pl0.js examples/trig_chain.pl0 --ranges --word=32
+//   node run_pl0.js examples/recursion.pl0 --entry=recursion --frames --trace
 
 const fs = require('fs');
 const path = require('path');
 
-const { PL0CPU, compilePL0, PL0Programs } = require('./pl0_cpu_sim');
+const {
+  PL0CPU, compilePL0, PL0Programs, PL0Warnings, PL0ASTs, formatMemoryMap, PL0CompileError, formatDiagnostics,
+  PL0SourceMaps, PL0RuntimeError, formatRuntimeError,
+} = require('./pl0_cpu_sim');
+const { countInstructions } = require('./pl0_optimizer');
+const { lintPrograms } = require('./pl0_lint');
+const { analyzeRanges, formatRanges } = require('./pl0_ranges');
+
+// A bad command line or input file: the message on stderr, exit status 1.
+function fail(message) {
+  console.error(`run_pl0: ${message}`);
+  process.exit(1);
+}
 
 function parseNumArg(argv, name, def) {
   const a = argv.find((x) => x.startsWith(`--${name}=`));
@@ -43,33 +68,42 @@ function extractPrograms(text) {
   // Non-greedy match for: program <name>; ... end.
   // We terminate on the *program-ending* dot after an 'end', so float literals
   // like 2.5 do not prematurely terminate extraction.
+  // Each program also records where it starts (1-based line/column), so
+  // diagnostics point into the file.
   const re = /\bprogram\s+([A-Za-z][A-Za-z0-9_]*)\s*;[\s\S]*?\bend\s*\./gmi;
   const out = [];
   let m;
   while ((m = re.exec(text)) !== null) {
-    out.push({ name: m[1], source: m[0] });
+    const before = text.slice(0, m.index);
+    const line = before.split('\n').length;
+    const col = m.index - before.lastIndexOf('\n');
+    out.push({ name: m[1], source: m[0], line, col });
   }
   return out;
 }
 
 function main() {
   const argv = process.argv.slice(2);
-  const file = argv.find((a) => !a.startsWith('--'));
+  const file = argv.find((a) => !a.startsWith('-'));
   if (!file) {
     console.error('Usage: node run_pl0.js <file.pl0> [--entry=name] ...');
     process.exit(1);
   }
 
   const abs = path.resolve(process.cwd(), file);
+  if (!fs.existsSync(abs)) fail(`cannot read '${file}': no such file`);
   const text = fs.readFileSync(abs, 'utf8');
   const progs = extractPrograms(text);
   if (progs.length === 0) {
-    throw new Error(`No PL/0 programs found in '${file}'. Expected 'program name; ... .'`);
+    fail(`No PL/0 programs found in '${file}'. Expected 'program name; ... .'`);
   }
 
   // Fixed-point scale for literals/constants and intrinsic ops.
   const fxScale = parseNumArg(argv, 'fxScale', 65536);
 
+  // Rounding of the fixed-point FMUL/FDIV instructions.
+  const fxRound = parseStrArg(argv, 'fx-round', 'floor');
+
   // Where each program's variables begin in memory.
   // Keeping them separate avoids accidental overlap.
   const baseStep = parseNumArg(argv, 'baseStep', 32);
@@ -86,17 +120,104 @@ function main() {
     }
   }
 
-  // Compile all programs found.
-  let nextBase = 0;
-  for (const p of progs) {
-    const base = baseMap.has(p.name) ? baseMap.get(p.name) : nextBase;
-    compilePL0(p.source, base, { fxScale });
-    nextBase = base + baseStep;
+  // Activation-record mode: locals live in stack frames (needed for recursion).
+  const frames = argv.includes('--frames');
+
+  // Trap on out-of-range array subscripts (emits BOUND before each access).
+  const boundsCheck = argv.includes('--bounds-check');
+
+  // Deterministic math backend (used for ops the neural coprocessor does not take).
+  const mathImpl = parseStrArg(argv, 'math-impl', 'float');
+
+  // Machine word size and overflow behavior (default: unbounded JS numbers).
+  const word = parseNumArg(argv, 'word', null);
+  const overflow = parseStrArg(argv, 'overflow', 'wrap');
+  if (word === null && argv.some((a) => a.startsWith('--overflow='))) {
+    fail('--overflow needs a word size (--word=16|32|64)');
   }
 
-  const entry = parseStrArg(argv, 'entry', parseStrArg(argv, 'program', progs[0].name));
+  // Optimization level (-O0 default; the last -O flag wins). The optimizer
+  // folds constants with the CPU's arithmetic, so it gets the same settings.
+  const optFlag = argv.filter((a) => /^-O\d+$/.test(a)).pop();
+  const optimize = optFlag ? Number(optFlag.slice(2)) : 0;
+
+  const maxSteps = parseNumArg(argv, 'maxSteps', 1_000_000);
+  const entryArg = parseStrArg(argv, 'entry', parseStrArg(argv, 'program', null));
+
+  // Compile all programs found (warnings are printed by the compile that is run).
+  const compileAll = (level, showWarnings) => {
+    let nextBase = 0;
+    for (const p of progs) {
+      const base = baseMap.has(p.name) ? baseMap.get(p.name) : nextBase;
+      compilePL0(p.source, base, {
+        fxScale, frames, boundsCheck, optimize: level, fxRound, mathImpl, word, overflow, file, line: p.line, col: p.col,
+      });
+      const warnings = PL0Warnings[p.name] || [];
+      if (showWarnings && warnings.length) console.error(formatDiagnostics(warnings, p.source, p.line, p.col));
+      nextBase = base + baseStep;
+    }
+  };
+
+  // --opt-report: the unoptimized build is compiled and run first (on exact
+  // arithmetic, so neural units see only the real run) for the comparison.
+  let baseline = null;
+  if (argv.includes('--opt-report')) {
+    compileAll(0, false);
+    const entryName = entryArg ?? progs[0].name;
+    const counts = Object.fromEntries(Object.entries(PL0Programs).map(([n, c]) => [n, countInstructions(c)]));
+    let steps = null;
+    if (PL0Programs[entryName]) {
+      const exact = new PL0CPU(4, 256, 256, { fxScale, fxRound, mathImpl, word, overflow });
+      exact.addInstructions([`PL0CALL ${entryName}`, 'HALT']);
+      exact.execute(maxSteps);
+      steps = exact.steps;
+    }
+    baseline = { counts, steps };
+  }
+  compileAll(optimize, true);
+
+  // The ASTs (name -> program node) as JSON, instead of running anything.
+  if (argv.includes('--dump-ast')) {
+    console.log(JSON.stringify(PL0ASTs, null, 2));
+    return;
+  }
+
+  // Static checks (pl0_lint.js) instead of running anything; exit status 1
+  // if there are findings.
+  if (argv.includes('--lint')) {
+    const findings = lintPrograms(PL0ASTs, { file });
+    let count = 0;
+    for (const p of progs) {
+      const list = findings[p.name] || [];
+      if (list.length) console.error(formatDiagnostics(list, p.source, p.line, p.col));
+      count += list.length;
+    }
+    console.log(count ? `${count} lint warning(s)` : 'No lint warnings.');
+    process.exitCode = count ? 1 : 0;
+    return;
+  }
+
+  // Value-range analysis (pl0_ranges.js) instead of running anything: the
+  // range of every variable, then the warnings; exit status 1 if there are any.
+  if (argv.includes('--ranges')) {
+    const result = analyzeRanges(PL0ASTs, {
+      file, fxScale, word, overflow, frames, neural: argv.includes('--narx-math'),
+    });
+    console.log(formatRanges(result));
+    let count = 0;
+    for (const p of progs) {
+      const list = result[p.name]?.warnings || [];
+      if (list.length) console.error(formatDiagnostics(list, p.source, p.line, p.col));
+      count += list.length;
+    }
+    console.log(count ? `${count} range warning(s)` : 'No range warnings.');
+    process.exitCode = count ? 1 : 0;
+    return;
+  }
+
+  const entry = entryArg ?? progs[0].name;
   if (!PL0Programs[entry]) {
-    throw new Error(`Entry program '${entry}' was not compiled. Available: ${Object.keys(PL0Programs).join(', ')}`);
+    fail(`Entry program '${entry}' was not compiled. Available: ${Object.keys(PL0Programs).join(', ')}`);
   }
 
   if (argv.includes('--dump-asm')) {
@@ -109,6 +230,11 @@ function main() {
     console.log('');
   }
 
+  if (argv.includes('--mem-map')) {
+    console.log(formatMemoryMap());
+    console.log('');
+  }
+
   // Optional neural ALU
   let alu = null;
   if (argv.includes('--neural')) {
@@ -127,6 +253,8 @@ function main() {
       safetyFallback,
       fallbackAbsError,
       divDecode: 'floor',
+      fxScale,
+      fxRound,
     });
 
     // If you pick MLP or explicitly request training, do quick supervised fitting.
@@ -161,10 +289,22 @@ function main() {
     }
   }
 
-  const cpu = new PL0CPU(4, 256, 256, { neuralALU: alu, neuralMath: math, fxScale });
-  cpu.addInstructions([`PL0CALL ${entry}`, 'HALT']);
+  // --trace: one stderr line per executed statement, from the source maps.
+  let trace = null;
+  if (argv.includes('--trace')) {
+    const sourceLines = {};
+    trace = ({ program, at }) => {
+      const map = PL0SourceMaps[program];
+      sourceLines[program] ??= map.source.split('\n');
+      const text = (sourceLines[program][at.line - map.line] ?? '').trim();
+      console.error(`[trace] ${program.padEnd(16, ' ')} ${`${path.basename(at.file)}:${at.line}:${at.col}`.padEnd(20, ' ')} ${at.kind.padEnd(9, ' ')} ${text}`);
+    };
+  }
 
-  const maxSteps = parseNumArg(argv, 'maxSteps', 1_000_000);
+  const cpu = new PL0CPU(4, 256, 256, {
+    neuralALU: alu, neuralMath: math, fxScale, fxRound, mathImpl, word, overflow, trace,
+  });
+  cpu.addInstructions([`PL0CALL ${entry}`, 'HALT']);
   cpu.execute(maxSteps);
 
   // Output
@@ -177,6 +317,12 @@ function main() {
   console.log(`Memory [${loC}..${hiC}):`, cpu.memory.slice(loC, hiC));
   console.log('Data stack:', cpu.dataStack);
 
+  if (cpu.overflowStats.enabled) {
+    const o = cpu.overflowStats;
+    console.log(`Overflow (${o.word}-bit, ${o.mode}):`, o.flag ? 'yes' : 'no');
+    if (o.flag) console.log('Overflow count:', o.count, o.ops);
+  }
+
   if (cpu.neuralStats?.enabled) {
     console.log('\nNeural ALU ops executed:', cpu.neuralStats.ops);
     console.log('Neural ALU fallbacks:', cpu.neuralStats.fallbacks);
@@ -198,8 +344,39 @@ function main() {
     }
     console.log('Neural NARX-math avg |predNorm-exactNorm|:', avgAbs);
   }
+
+  if (baseline) {
+    const change = (before, after) => {
+      const pct = before ? ` (${(((after - before) / before) * 100).toFixed(1)}%)` : '';
+      return `${before} -> ${after}${pct}`;
+    };
+    console.log(`\nOptimization report (-O0 -> -O${optimize}):`);
+    for (const [name, code] of Object.entries(PL0Programs)) {
+      console.log(`  ${name.padEnd(20, ' ')} instructions ${change(baseline.counts[name], countInstructions(code))}`);
+    }
+    console.log(`  ${entry.padEnd(20, ' ')} steps        ${change(baseline.steps, cpu.steps)}`);
+    if (alu || math) console.log('  (-O0 steps measured with exact arithmetic)');
+  }
+
+  if (argv.includes('--math-report')) {
+    const { mathImplReport, formatMathReport } = require('./cordic_math');
+    console.log(`\n${formatMathReport(mathImplReport({ fxScale }), fxScale)}`);
+  }
 }
 
 if (require.main === module) {
-  main();
+  try {
+    main();
+  } catch (err) {
+    // Compile errors (including invalid options and memory layout
+    // collisions) and runtime errors are reported without a JS stack trace;
+    // anything else is a bug in the tools and keeps it.
+    if (err instanceof PL0RuntimeError) {
+      console.error(formatRuntimeError(err));
+      process.exit(1);
+    }
+    if (!(err instanceof PL0CompileError)) throw err;
+    console.error(err.message);
+    process.exit(1);
+  }
 }
@@ -0,0 +1,56 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { compilePL0, PL0ASTs } = require('../pl0_cpu_sim');
+const { analyzeRanges } = require('../pl0_ranges');
+
+function ranges(source, options) {
+  for (const name of Object.keys(PL0ASTs)) delete PL0ASTs[name];
+  compilePL0(source, 0, { word: options.word });
+  const result = analyzeRanges(PL0ASTs, options);
+  const vars = Object.fromEntries(Object.values(result)[0].vars.map((v) => [v.name, [v.lo, v.hi]]));
+  return { vars, warnings: Object.values(result)[0].warnings };
+}
+
+test('a result wholly outside the word can be any word value', () => {
+  const { vars, warnings } = ranges(`
+program wordOut;
+var a, b;
+begin
+  a := 30000;
+  b := 0 - a - 30000;
+end.
+`, { word: 16 });
+  assert.deepStrictEqual(vars.b, [-32768, 32767]);
+  assert.ok(warnings.some((w) => /'-' may overflow the 16-bit word \(range \[-60000, -60000\]\)/.test(w.message)));
+});
+
+test('immediates are fitted to the word like the CPU loads them', () => {
+  const source = `
+program bigLiteral;
+var a;
+begin
+  a := 70000;
+end.
+`;
+  assert.deepStrictEqual(ranges(source, { word: 16 }).vars.a, [4464, 4464]);
+  assert.deepStrictEqual(ranges(source, { word: 16, overflow: 'saturate' }).vars.a, [32767, 32767]);
+  assert.deepStrictEqual(ranges(source, { word: 32 }).vars.a, [70000, 70000]);
+});
+
+test('a quotient by a divisor that is always zero is any word value', () => {
+  const source = `
+program divZero;
+var a, b, c;
+begin
+  a := 10;
+  b := 0;
+  c := a / b;
+end.
+`;
+  const { vars, warnings } = ranges(source, { word: 16 });
+  assert.deepStrictEqual(vars.c, [-32768, 32767]);
+  assert.ok(warnings.some((w) => w.message === 'division by zero'));
+  assert.deepStrictEqual(ranges(source, {}).vars.c, [-Infinity, Infinity]);
+});
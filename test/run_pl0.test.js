@@ -0,0 +1,125 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const RUNNER = path.join(__dirname, '..', 'run_pl0.js');
+
+// Writes `source` to a temporary .pl0 file and runs run_pl0.js on it.
+function runPL0(source, ...args) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pl0-'));
+  const file = path.join(dir, 'test.pl0');
+  fs.writeFileSync(file, source);
+  try {
+    return spawnSync(process.execPath, [RUNNER, file, ...args], { encoding: 'utf8', timeout: 60000 });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const noStackTrace = (out) => assert.doesNotMatch(out, /^\s+at .+\(.+:\d+:\d+\)$/m);
+
+const CLASH = `
+program deep;
+var a, b;
+begin
+  a := 1;
+  b := a + (a + (a + (a + (a + 2))));
+end.
+
+program low;
+var x, y, z, w, v, u, t;
+begin
+  x := 1;
+end.
+`;
+
+test('a memory layout collision is reported with the memory map, exit status 1', () => {
+  const r = runPL0(CLASH, '--baseMap=deep:0,low:250');
+  assert.strictEqual(r.status, 1);
+  assert.match(r.stderr, /test\.pl0:9:9: error: Variables of 'low' \(250\.\.256\) overlap temporaries of 'deep'/);
+  assert.match(r.stderr, /Memory map:/);
+  noStackTrace(r.stderr);
+});
+
+test('an unknown optimization level is reported as a compile error', () => {
+  const r = runPL0(CLASH, '-O3');
+  assert.strictEqual(r.status, 1);
+  assert.match(r.stderr, /error: Unknown optimization level 3/);
+  noStackTrace(r.stderr);
+});
+
+test('invalid options and a missing entry are reported without a stack trace', () => {
+  for (const args of [['--fx-round=bogus'], ['--word=12'], ['--word=16', '--overflow=sideways'], ['--entry=nope']]) {
+    const r = runPL0(CLASH, ...args);
+    assert.strictEqual(r.status, 1, args.join(' '));
+    assert.match(r.stderr, /error: Unknown|error: Unsupported|run_pl0: Entry program 'nope'/);
+    noStackTrace(r.stderr);
+  }
+});
+
+test('a runtime error names the faulting routine and prints a backtrace', () => {
+  const r = runPL0(`
+program divZero;
+var a, b, c;
+
+procedure split;
+begin
+  c := a / b;
+end;
+
+begin
+  a := 10;
+  b := 0;
+  call split;
+end.
+`);
+  assert.strictEqual(r.status, 1);
+  assert.match(r.stderr, /^PL0RuntimeError: Division by zero\n  in divZero\.split at .*test\.pl0:7:3 \(assign\)$/m);
+  assert.match(r.stderr, /#1\s+divZero\s+@\d+\s+CALL proc_split_\d+/);
+  noStackTrace(r.stderr);
+});
+
+test('a non-integer or non-positive fxScale is an option error', () => {
+  const source = `
+program square;
+var x: fixed;
+begin
+  x := 1.5;
+  x := x * x;
+end.
+`;
+  for (const scale of ['1000.5', '0', '-4']) {
+    const r = runPL0(source, `--fxScale=${scale}`);
+    assert.strictEqual(r.status, 1, scale);
+    assert.match(r.stderr, new RegExp(`error: Invalid fixed-point scale ${scale} \\(expected a positive integer\\)`));
+    noStackTrace(r.stderr);
+  }
+  const ok = runPL0(source, '--fxScale=1000');
+  assert.strictEqual(ok.status, 0);
+});
+
+test('integer abs/min/max results are exact and fitted to the word, not clamped to 32 bits', () => {
+  const source = `
+program bigK;
+var k, a: integer;
+begin
+  k := 3000000000;
+  a := max(k, 1);
+  push a;
+  a := abs(0 - k);
+  push a;
+  a := min(k, 9999999999);
+  push a;
+end.
+`;
+  for (const args of [[], ['--word=64']]) {
+    const r = runPL0(source, ...args);
+    assert.strictEqual(r.status, 0, r.stderr);
+    assert.match(r.stdout, /Data stack: \[ 3000000000, 3000000000, 3000000000 \]/);
+    if (args.length) assert.match(r.stdout, /Overflow \(64-bit, wrap\): no/);
+  }
+});